@@ -0,0 +1,273 @@
+const path = require('path')
+const fs = require('fs-extra')
+const composeGenerator = require('../services/composeGenerator')
+const { ComposeInvoker } = require('../services/composeInvoker')
+const workspace = require('../services/workspace')
+
+const SILENT_LOGGER = { log: () => {}, warn: () => {} }
+
+/**
+ * Build an error that lists failed services, e.g. "Services did not become ready: api (health: unhealthy)"
+ * @param {string} message - Summary
+ * @param {Array<{service: string, reason: string}>} failures - Failed services
+ * @returns {Error} Error with the failures attached
+ */
+function failureError(message, failures) {
+  const error = new Error(`${message}: ${failures.map(failure => `${failure.service} (${failure.reason})`).join(', ')}`)
+  error.failures = failures
+  return error
+}
+
+/**
+ * A test environment generated from an XQ spec, driven from code instead of the CLI
+ * Nothing is printed, the process is never exited and no signal handlers are installed;
+ * failures are thrown as errors. Meant for Jest globalSetup/globalTeardown and scripts.
+ *
+ * @example
+ * const { XqEnvironment } = require('@chauhaidang/xq-test-infra')
+ *
+ * const env = await XqEnvironment.fromDirectory('./services', { profile: 'ci' })
+ * await env.up()
+ * const baseUrl = env.url('todo-read-service')
+ * await env.down()
+ */
+class XqEnvironment {
+  /**
+   * Use XqEnvironment.fromDirectory, which generates the compose file first
+   * @param {Object} paths - Environment paths from composeGenerator.getEnvironmentPaths
+   * @param {Object} manifest - Contents of the environment's xq-env.json
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Receives progress output (log, warn); silent by default
+   */
+  constructor(paths, manifest, options = {}) {
+    this.paths = paths
+    this.manifest = manifest
+    this.invoker = new ComposeInvoker({
+      logger: options.logger || SILENT_LOGGER,
+      stdio: 'pipe',
+      forwardSignals: false
+    })
+  }
+
+  /**
+   * Generate the compose file and manifest for a spec directory (or single spec file)
+   * @param {string} dir - Directory with *.service.yml files, or an XQ spec file
+   * @param {Object} [options] - Options
+   * @param {string} [options.profile] - Profile from xq.config.yml
+   * @param {string[]} [options.set] - Single value overrides, e.g. ['services.api.tag=pr-123']
+   * @param {Object|string} [options.overrides] - Overrides object, or path to a JSON/YAML overrides file
+   * @param {string} [options.envName] - Isolated environment name (own project, files and host ports)
+   * @param {number} [options.portOffset] - Shift all host ports (defaults to a value derived from envName)
+   * @param {boolean} [options.gateway=true] - Add the nginx gateway
+   * @param {boolean} [options.validate=true] - Validate the spec against the JSON Schema
+   * @param {string} [options.outputDir] - Workspace for generated files (default: .xq in the current directory)
+   * @param {boolean} [options.reuse=false] - Keep the host ports of the previous generate and label services for up({ reuse })
+   * @param {Object} [options.logger] - Receives progress output (log, warn); silent by default
+   * @returns {Promise<XqEnvironment>} Environment, not started yet
+   */
+  static async fromDirectory(dir, options = {}) {
+    const baseDir = workspace.resolveWorkspaceDir(options.outputDir)
+    const overrides = typeof options.overrides === 'string'
+      ? await composeGenerator.loadOverrides(path.resolve(options.overrides))
+      : options.overrides
+
+    await composeGenerator.generateCompose(path.resolve(dir), {
+      gateway: options.gateway,
+      keepFile: true,
+      overrides,
+      validate: options.validate,
+      profile: options.profile,
+      set: options.set,
+      envName: options.envName,
+      portOffset: options.portOffset,
+      baseDir,
+      reuse: options.reuse
+    })
+
+    const paths = await workspace.withState(composeGenerator.getEnvironmentPaths(options.envName, baseDir))
+    const manifest = await fs.readJson(paths.manifestFile)
+    return new XqEnvironment(paths, manifest, options)
+  }
+
+  /**
+   * Open an environment generated earlier into outputDir, e.g. by `xq-infra generate` or fromDirectory
+   * Nothing is regenerated, so host ports of a running environment stay the same
+   * @param {Object} [options] - Options
+   * @param {string} [options.envName] - Environment name used when generating
+   * @param {string} [options.outputDir] - Workspace with the generated files (default: .xq in the current directory)
+   * @param {Object} [options.logger] - Receives progress output (log, warn); silent by default
+   * @returns {Promise<XqEnvironment|null>} Environment, or null when no manifest exists
+   */
+  static async open(options = {}) {
+    const baseDir = workspace.resolveWorkspaceDir(options.outputDir)
+    const paths = await workspace.withState(composeGenerator.getEnvironmentPaths(options.envName, baseDir))
+
+    if (!(await fs.pathExists(paths.manifestFile)) || !(await fs.pathExists(paths.composeFile))) {
+      return null
+    }
+    const manifest = await fs.readJson(paths.manifestFile)
+    return new XqEnvironment(paths, manifest, options)
+  }
+
+  /**
+   * Start the services, wait for jobs and (by default) for every service to be ready
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.pull=true] - Pull images first; images that cannot be pulled fall back to local ones
+   * @param {boolean} [options.wait=true] - Wait until every service is healthy or running
+   * @param {number} [options.timeout=120000] - Per-service timeout in milliseconds for jobs and readiness
+   * @param {boolean} [options.reuse=false] - Leave running services with an unchanged config alone (generated with reuse)
+   * @returns {Promise<void>}
+   * @throws {Error} When compose fails, a job fails or a service does not become ready (error.failures lists them)
+   */
+  async up(options = {}) {
+    const { pull = true, wait = true, timeout = 120000, reuse = false } = options
+    const { composeFile, projectName } = this.paths
+
+    // Only the services to (re)create; undefined starts everything
+    let services
+    if (reuse) {
+      const plan = await this.invoker.planReuse(composeFile, { projectName })
+      this.invoker.logger.log(`Reusing ${plan.reuse.length} service(s), starting ${plan.start.length}`)
+      if (plan.reuse.length > 0) {
+        services = plan.start
+      }
+    }
+    const startNeeded = !services || services.length > 0
+
+    if (pull && startNeeded) {
+      try {
+        await this.invoker.pull(composeFile, { projectName, services })
+      } catch (error) {
+        // Locally built images are not in a registry; compose up uses them
+        this.invoker.logger.warn(`Warning: Failed to pull some images: ${error.message}`)
+      }
+    }
+
+    let upError = null
+    if (startNeeded) {
+      try {
+        await this.invoker.up(composeFile, { pull, projectName, services })
+      } catch (error) {
+        upError = error
+      }
+    }
+
+    const jobs = await this.invoker.waitForJobs(composeFile, { projectName, timeout, wait: !upError })
+    if (!jobs.ready) {
+      throw failureError('Jobs did not complete', jobs.failures)
+    }
+    if (upError) {
+      throw upError
+    }
+
+    if (wait) {
+      const { ready, failures } = await this.invoker.waitForHealthy(composeFile, { projectName, timeout })
+      if (!ready) {
+        throw failureError('Services did not become ready', failures)
+      }
+    }
+  }
+
+  /**
+   * Wait for the test containers (role: test) and collect their artifacts
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout=600000] - Timeout in milliseconds
+   * @param {string} [options.artifactsDir] - Where artifacts go (default: xq-artifacts next to the compose file)
+   * @returns {Promise<{passed: boolean, failures: Array, crashes: Array, artifacts: Array}>} Result, see composeInvoker.waitForTestContainers
+   */
+  async waitForTests(options = {}) {
+    const { timeout, artifactsDir = this.paths.artifactsDir } = options
+    const { composeFile, projectName } = this.paths
+
+    const testContainers = await this.invoker.detectTestContainers(composeFile)
+    const result = await this.invoker.waitForTestContainers(composeFile, testContainers, { timeout, projectName })
+    const artifacts = await this.invoker.collectArtifacts(composeFile, { outputDir: artifactsDir, projectName })
+    return { ...result, artifacts }
+  }
+
+  /**
+   * Base URL of a service from the host: its published port, else its route through the gateway
+   * @param {string} service - Service name
+   * @returns {string} URL, e.g. "http://localhost:3001"
+   * @throws {Error} When the service does not exist or cannot be reached from the host
+   */
+  url(service) {
+    const entry = this.manifest.services[service]
+    if (!entry) {
+      throw new Error(`Unknown service '${service}'`)
+    }
+    if (!entry.url && !entry.gatewayUrl) {
+      throw new Error(`Service '${service}' has no published port and is not routed through the gateway`)
+    }
+    return entry.url || entry.gatewayUrl
+  }
+
+  /**
+   * Status of every service (state, health, exit code, restarts)
+   * @returns {Promise<Array<Object>>} See composeInvoker.getEnvironmentStatus
+   */
+  async status() {
+    return this.invoker.getEnvironmentStatus(this.paths.composeFile, { projectName: this.paths.projectName })
+  }
+
+  /**
+   * Whether the environment is up: every service ready and every job completed
+   * Test containers are ignored
+   * @returns {Promise<boolean>} True when nothing needs to be started
+   */
+  async isReady() {
+    const statuses = await this.status()
+    return statuses
+      .filter(status => status.role !== 'test')
+      .every(status => status.ready)
+  }
+
+  /**
+   * Logs of one service
+   * @param {string} service - Service name
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.tail=null] - Number of lines from the end, null for all lines
+   * @param {boolean} [options.timestamps=false] - Include timestamps
+   * @returns {Promise<string>} Log output
+   */
+  async logs(service, options = {}) {
+    const { tail = null, timestamps = false } = options
+    const result = await this.invoker.logs(this.paths.composeFile, {
+      service,
+      tail,
+      timestamps,
+      projectName: this.paths.projectName,
+      noColor: true
+    })
+    return result.stdout
+  }
+
+  /**
+   * Write the logs of every service to <outputDir>/<service>.log
+   * @param {string} [outputDir] - Directory (default: xq-logs next to the compose file)
+   * @returns {Promise<Array<{service: string, file: string, success: boolean, error?: string}>>} Result per service
+   */
+  async saveLogs(outputDir = this.paths.logsDir) {
+    return this.invoker.dumpLogs(this.paths.composeFile, { outputDir, projectName: this.paths.projectName })
+  }
+
+  /**
+   * Stop and remove the containers, then the generated files
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.removeVolumes=false] - Also remove volumes
+   * @param {boolean} [options.removeFiles=true] - Remove the generated compose file, gateway config and manifest
+   * @returns {Promise<void>}
+   */
+  async down(options = {}) {
+    const { removeVolumes = false, removeFiles = true } = options
+    const { composeFile, projectName, nginxConfig, manifestFile, stateFile } = this.paths
+
+    await this.invoker.down(composeFile, { removeVolumes, projectName })
+
+    if (removeFiles) {
+      await Promise.all([composeFile, nginxConfig, manifestFile, stateFile].map(file => fs.remove(file)))
+    }
+  }
+}
+
+module.exports = XqEnvironment
@@ -5,23 +5,409 @@ const fs = require('fs-extra')
 const pkg = require('../../package.json')
 const composeGenerator = require('../services/composeGenerator')
 const composeInvoker = require('../services/composeInvoker')
+const specValidator = require('../services/specValidator')
+const imageBuilder = require('../services/imageBuilder')
+const workspace = require('../services/workspace')
+
+/**
+ * Paths of the environment files a command works on
+ * `-c <compose>` names the compose file, the other files live next to it; otherwise they are in the workspace (.xq by default)
+ * @param {Object} opts - Command options (compose, workspace, envName)
+ * @returns {Object} Environment paths from composeGenerator.getEnvironmentPaths
+ */
+function environmentPaths(opts) {
+  if (opts.compose) {
+    const composeFile = path.resolve(process.cwd(), opts.compose)
+    return { ...composeGenerator.getEnvironmentPaths(opts.envName, path.dirname(composeFile)), composeFile }
+  }
+  return composeGenerator.getEnvironmentPaths(opts.envName, workspace.resolveWorkspaceDir(opts.workspace))
+}
+
+/**
+ * Resolve a generated environment, with the spec and project name recorded by generate
+ * Without --workspace or -c, files generated into the current directory by older versions are still found
+ * @param {Object} opts - Command options (compose, workspace, envName)
+ * @returns {Promise<Object>} Environment paths with spec and projectName
+ */
+async function resolveEnvironment(opts) {
+  let environment = environmentPaths(opts)
+  if (!opts.compose && !opts.workspace && !await fs.pathExists(environment.composeFile)) {
+    const legacy = composeGenerator.getEnvironmentPaths(opts.envName)
+    if (await fs.pathExists(legacy.composeFile)) {
+      environment = legacy
+    }
+  }
+  return workspace.withState(environment)
+}
+
+/**
+ * Print the last log lines of failed services
+ * @param {string} composeFile - Path to compose file
+ * @param {string[]} services - Service names
+ * @param {string} [projectName] - Compose project name
+ */
+async function printLastLogs(composeFile, services, projectName) {
+  for (const service of services) {
+    console.error('')
+    console.error(`📄 Last log lines of ${service}:`)
+    await composeInvoker.logs(composeFile, { service, tail: '50', projectName })
+  }
+}
+
+/**
+ * Write the full logs of every service to the environment's logs directory
+ * @param {string} composeFile - Path to compose file
+ * @param {Object} environment - Environment paths (projectName, logsDir)
+ */
+async function saveLogs(composeFile, environment) {
+  const { projectName, logsDir } = environment
+  try {
+    const results = await composeInvoker.dumpLogs(composeFile, { outputDir: logsDir, projectName })
+    results.filter(result => !result.success)
+      .forEach(result => console.warn(`Warning: Failed to write logs of ${result.service}: ${result.error}`))
+    if (results.some(result => result.success)) {
+      console.log('')
+      console.log(`📁 Full logs of every service written to ${path.relative(process.cwd(), logsDir)}/`)
+    }
+  } catch (err) {
+    console.warn('Warning: Failed to collect logs:', err.message)
+  }
+}
+
+/**
+ * Report a failed `up`: show the last log lines of the failed services and write the full logs of every service to files
+ * CI usually tears the stack down right after, so the files are what is left to debug with
+ * @param {string} composeFile - Path to compose file
+ * @param {string[]} services - Failed services
+ * @param {Object} environment - Environment paths (projectName, logsDir)
+ */
+async function reportFailure(composeFile, services, environment) {
+  try {
+    await printLastLogs(composeFile, services, environment.projectName)
+  } catch (err) {
+    console.warn('Warning: Failed to show logs:', err.message)
+  }
+  await saveLogs(composeFile, environment)
+}
+
+/**
+ * Run a command on the host against a started environment
+ * XQ_ENV_MANIFEST points at the environment's xq-env.json, so test code finds service URLs
+ * @param {string[]} command - Command and arguments
+ * @param {Object} environment - Environment paths (manifestFile)
+ * @returns {Promise<number>} The command's exit code
+ */
+async function runHostCommand(command, environment) {
+  console.log('')
+  console.log(`▶️  Running ${command.join(' ')}`)
+  try {
+    await composeInvoker.execCommand(command[0], command.slice(1), {
+      stdio: 'inherit',
+      cwd: process.cwd(),
+      env: { ...process.env, XQ_ENV_MANIFEST: environment.manifestFile },
+      timeout: 0
+    })
+    return 0
+  } catch (err) {
+    // Killed by a signal has no exit code
+    if (err.result) return err.result.exitCode || 1
+    console.error(`Failed to run ${command[0]}:`, err.message || err)
+    return 1
+  }
+}
+
+/**
+ * Pull and start an environment, then wait for its jobs (and with opts.wait for every service to be ready)
+ * With opts.reuse, services whose config is unchanged and that are still running are left alone
+ * @param {Object} environment - Environment paths from composeGenerator.getEnvironmentPaths
+ * @param {Object} opts - up options (pull, wait, waitTimeout, reuse)
+ * @returns {Promise<number>} Exit code, 0 once the services are up
+ */
+async function startEnvironment(environment, opts) {
+  const { composeFile, projectName } = environment
+  const shouldPull = opts.pull !== false // true by default, false only if --no-pull
+
+  // Only the services to (re)create; undefined starts everything
+  let services
+  if (opts.reuse) {
+    const plan = await composeInvoker.planReuse(composeFile, { projectName })
+    if (plan.start.length === 0) {
+      console.log('♻️  Environment is up to date, reusing every service')
+    } else if (plan.reuse.length > 0) {
+      console.log(`♻️  Reusing ${plan.reuse.join(', ')}`)
+      console.log(`🔄 Starting ${plan.start.join(', ')}`)
+    }
+    if (plan.reuse.length > 0) {
+      services = plan.start
+    }
+  }
+  const startNeeded = !services || services.length > 0
+
+  // Attempt to pull images, but don't fail if some images are local
+  if (shouldPull && startNeeded) {
+    try {
+      await composeInvoker.pull(composeFile, { projectName, services })
+    } catch (pullErr) {
+      // Pull failed (possibly due to local images not in registry)
+      // Log warning but continue - docker compose up will use local images if available
+      console.warn('Warning: Failed to pull some images from registry. Proceeding with local/cached images.')
+      console.warn(`Reason: ${pullErr.message}`)
+    }
+  }
+
+  // compose up fails on its own when a job a service depends on exits non-zero; report the job logs first
+  let upError = null
+  if (startNeeded) {
+    try {
+      await composeInvoker.up(composeFile, { pull: shouldPull, projectName, services })
+    } catch (err) {
+      upError = err
+    }
+  }
+
+  const { jobs, ready: jobsReady, failures } = await composeInvoker.waitForJobs(composeFile, {
+    projectName,
+    timeout: opts.waitTimeout * 1000,
+    wait: !upError
+  })
+  if (!jobsReady) {
+    console.error('❌ Some jobs did not complete:')
+    failures.forEach(failure => console.error(`   - ${failure.service}: ${failure.reason}`))
+    await reportFailure(composeFile, failures.map(failure => failure.service), environment)
+    return 3
+  }
+
+  if (upError) {
+    // e.g. a dependency that never became healthy; show the containers that failed or are unhealthy
+    const failed = await composeInvoker.getEnvironmentStatus(composeFile, { projectName })
+      .then(services => services.filter(s => s.failed || s.health === 'unhealthy').map(s => s.service))
+      .catch(() => [])
+    console.error('Failed to start services:', upError.message || upError)
+    await reportFailure(composeFile, failed, environment)
+    return 3
+  }
+  if (jobs.length > 0) {
+    console.log(`✅ Jobs completed: ${jobs.join(', ')}`)
+  }
+  console.log('Services started successfully!')
+
+  if (opts.wait) {
+    const { ready, failures } = await composeInvoker.waitForHealthy(composeFile, {
+      projectName,
+      timeout: opts.waitTimeout * 1000
+    })
+    if (!ready) {
+      console.error('❌ Some services did not become ready:')
+      failures.forEach(failure => console.error(`   - ${failure.service}: ${failure.reason}`))
+      await reportFailure(composeFile, failures.map(failure => failure.service), environment)
+      return 3
+    }
+    console.log('✅ All services are ready')
+  }
+
+  return 0
+}
+
+/**
+ * Wait for the test containers, collect their artifacts and report failures
+ * @param {Object} environment - Environment paths from composeGenerator.getEnvironmentPaths
+ * @param {Object} opts - up options (detectTests)
+ * @returns {Promise<number>} Exit code: 0 when every test passed or there are none, 1 when a test failed, 9 when a service crashed
+ */
+async function runTestContainers(environment, opts) {
+  const { composeFile, projectName, artifactsDir } = environment
+
+  // Test containers are services with role: test; --detect-tests falls back to guessing from names
+  // The legacy .test. filename heuristic scans the spec recorded in the workspace state
+  const sourcePath = opts.detectTests ? environment.spec : null
+
+  // Detect and wait for test containers (if any)
+  try {
+    const testContainers = await composeInvoker.detectTestContainers(composeFile, {
+      heuristics: opts.detectTests,
+      sourcePath
+    })
+    if (testContainers.length > 0) {
+      console.log('')
+      console.log('🧪 Detected test containers:', testContainers.join(', '))
+      console.log('⏳ Waiting for test containers to complete...')
+      console.log('   (This may take a few moments while tests run)')
+      console.log('')
+      
+      const { passed, failures, crashes } = await composeInvoker.waitForTestContainers(composeFile, testContainers, { projectName })
+
+      // Reports matter most when tests failed, so artifacts are collected whatever the result
+      try {
+        const artifacts = await composeInvoker.collectArtifacts(composeFile, { outputDir: artifactsDir, projectName })
+        artifacts.forEach(artifact => artifact.success
+          ? console.log(`📦 Collected ${artifact.service}:${artifact.path} into ${path.relative(process.cwd(), artifact.destination)}`)
+          : console.warn(`Warning: Failed to collect ${artifact.service}:${artifact.path}: ${artifact.error}`))
+      } catch (artifactError) {
+        console.warn('Warning: Failed to collect artifacts:', artifactError.message)
+      }
+
+      if (crashes.length > 0) {
+        await reportFailure(composeFile, crashes.map(crash => crash.service), environment)
+        console.error('')
+        console.error('❌ A service crashed while tests were running.')
+        return 9
+      }
+      if (!passed) {
+        await reportFailure(composeFile, failures.map(failure => failure.service), environment)
+        console.error('')
+        console.error('❌ Some test containers failed.')
+        return 1
+      }
+      
+      console.log('')
+      console.log('✅ All test containers completed successfully!')
+    }
+  } catch (detectError) {
+    // If test container detection fails, log warning but don't fail the command
+    // This allows the up command to succeed even if detection has issues
+    console.warn('Warning: Failed to detect test containers:', detectError.message)
+  }
+
+  return 0
+}
+
+/**
+ * Stop an environment started by `run` and remove its generated files
+ * The files stay when `down` fails, so `xq-infra down` can still find the containers
+ * @param {Object} environment - Environment paths (composeFile, projectName, nginxConfig, manifestFile, stateFile)
+ */
+async function tearDown(environment) {
+  const { composeFile, projectName, nginxConfig, manifestFile, stateFile } = environment
+  try {
+    await composeInvoker.down(composeFile, { projectName })
+  } catch (err) {
+    console.warn('Warning: Failed to tear down environment:', err.message || err)
+    return
+  }
+  await Promise.all([composeFile, nginxConfig, manifestFile, stateFile].map(file => fs.remove(file)))
+  console.log('🧹 Environment torn down')
+}
+
+/**
+ * Generate, start and test an environment, then tear it down (the `run` command)
+ * The environment is torn down whatever happened, also on SIGINT/SIGTERM, unless opts.keep or opts.reuse
+ * @param {string[]} command - Command to run on the host once the services are ready, may be empty
+ * @param {Object} opts - run options
+ * @returns {Promise<number>} Exit code: 2 when generate failed, else the result of startEnvironment, the tests or the host command
+ */
+async function runEnvironment(command, opts) {
+  const keep = !!(opts.keep || opts.reuse)
+  let environment = environmentPaths(opts)
+
+  try {
+    const overrides = opts.overrides
+      ? await composeGenerator.loadOverrides(path.resolve(process.cwd(), opts.overrides))
+      : undefined
+    // Files are removed by the teardown below, not by exit handlers, so they are still there for `down`
+    await composeGenerator.generateCompose(path.resolve(process.cwd(), opts.file), {
+      gateway: opts.gateway,
+      keepFile: true,
+      overrides,
+      validate: opts.validate,
+      profile: opts.profile,
+      set: opts.set,
+      envName: opts.envName,
+      portOffset: opts.portOffset,
+      composeFile: environment.composeFile,
+      reuse: opts.reuse
+    })
+    environment = await workspace.withState(environment)
+  } catch (err) {
+    console.error('Failed to generate compose file:', err.message || err)
+    return 2
+  }
+  const { composeFile } = environment
+
+  // Only ever torn down once, whether the run ends or is interrupted
+  let teardown = null
+  const stop = () => {
+    if (!teardown) {
+      teardown = keep ? Promise.resolve() : tearDown(environment)
+    }
+    return teardown
+  }
+
+  // Ctrl+C or a cancelled CI job still tears the environment down; a second signal exits right away
+  let signalCode = null
+  const onSignal = (signal) => {
+    if (signalCode !== null) process.exit(signalCode)
+    signalCode = signal === 'SIGINT' ? 130 : 143
+    console.error('')
+    console.error(`Received ${signal}${keep ? '' : ', tearing down the environment'}`)
+    stop().finally(() => process.exit(signalCode))
+  }
+  process.on('SIGINT', onSignal)
+  process.on('SIGTERM', onSignal)
+
+  let code = 0
+  try {
+    code = await startEnvironment(environment, { ...opts, wait: true }) || await runTestContainers(environment, opts)
+    if (!code) {
+      if (command.length > 0) {
+        code = await runHostCommand(command, environment)
+      }
+      // Failures above already wrote the logs; passing runs and host commands keep them too
+      await saveLogs(composeFile, environment)
+    }
+  } catch (err) {
+    console.error('Failed to run environment:', err.message || err)
+    code = 3
+  } finally {
+    if (keep) {
+      console.log('')
+      console.log(`Environment left running, stop it with: xq-infra down${downArgs(opts)}`)
+    }
+    await stop()
+    process.removeListener('SIGINT', onSignal)
+    process.removeListener('SIGTERM', onSignal)
+  }
+
+  return signalCode !== null ? signalCode : code
+}
+
+/**
+ * Arguments that point `down` at the same environment as the current command
+ * @param {Object} opts - Command options (compose, workspace, envName)
+ * @returns {string} Arguments, each with a leading space
+ */
+function downArgs(opts) {
+  return [
+    opts.envName && ` --env-name ${opts.envName}`,
+    opts.workspace && ` --workspace ${opts.workspace}`,
+    opts.compose && ` -c ${opts.compose}`
+  ].filter(Boolean).join('')
+}
 
 module.exports = async function main() {
   program.name('xq-infra').description('CLI to generate docker-compose and manage test infra').version(pkg.version)
 
   program
     .command('generate')
-    .description('Generate xq-compose.yml from xq spec')
+    .description('Generate xq-compose.yml from xq spec into the workspace')
     .requiredOption('-f, --file <path>', 'Path to xq YAML spec file or directory containing *.service.yml files')
     .option('--no-gateway', 'Disable default gateway injection')
     .option('--keep-file', 'Keep generated compose file after run')
-    .option('--overrides <path>', 'Path to JSON file with overrides')
+    .option('--overrides <path>', 'Path to JSON or YAML file with overrides')
+    .option('--no-validate', 'Skip JSON Schema validation of the spec')
+    .option('--profile <name>', 'Apply a named profile from xq.config.yml')
+    .option('--set <key=value>', 'Override a single value, e.g. services.api.tag=pr-123 (repeatable)', (value, previous) => [...previous, value], [])
+    .option('--env-name <name>', 'Isolated environment name (own compose project, network, files and host ports)')
+    .option('--port-offset <n>', 'Shift all host ports by n (defaults to a value derived from --env-name)', (value) => parseInt(value, 10))
+    .option('--reuse', 'Keep the host ports of the previous generate and label services with a config hash for up --reuse')
+    .option('--workspace <dir>', 'Directory for the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Write the compose file here instead, with the other files next to it')
     .action(async (opts) => {
+      const environment = environmentPaths(opts)
       const absIn = path.resolve(process.cwd(), opts.file)
       let overrides = undefined
       if (opts.overrides) {
         try {
-          overrides = require(path.resolve(process.cwd(), opts.overrides))
+          overrides = await composeGenerator.loadOverrides(path.resolve(process.cwd(), opts.overrides))
         } catch (e) {
           console.error('Failed to load overrides file:', e.message || e)
           process.exit(2)
@@ -31,9 +417,17 @@ module.exports = async function main() {
         const outPath = await composeGenerator.generateCompose(absIn, {
           gateway: opts.gateway,
           keepFile: opts.keepFile,
-          overrides
+          overrides,
+          validate: opts.validate,
+          profile: opts.profile,
+          set: opts.set,
+          envName: opts.envName,
+          portOffset: opts.portOffset,
+          composeFile: environment.composeFile,
+          reuse: opts.reuse
         })
         console.log('Generated docker-compose at:', outPath)
+        console.log('Environment manifest at:', environment.manifestFile)
       } catch (err) {
         console.error('Failed to generate compose file:', err.message || err)
         process.exit(2)
@@ -41,75 +435,91 @@ module.exports = async function main() {
     })
 
   program
-    .command('up')
-    .description('Start services from xq-compose.yml (detached mode)')
-    .option('--no-pull', 'Skip pulling images (uses cached images)')
+    .command('validate')
+    .description('Validate xq spec, service files and xq.config.yml against the JSON Schema')
+    .requiredOption('-f, --file <path>', 'Path to xq YAML spec file or directory containing *.service.yml files')
     .action(async (opts) => {
-      const composeFile = path.join(process.cwd(), 'xq-compose.yml')
+      const absIn = path.resolve(process.cwd(), opts.file)
       try {
-        const shouldPull = opts.pull !== false // true by default, false only if --no-pull
-
-        // Attempt to pull images, but don't fail if some images are local
-        if (shouldPull) {
-          try {
-            await composeInvoker.pull(composeFile)
-          } catch (pullErr) {
-            // Pull failed (possibly due to local images not in registry)
-            // Log warning but continue - docker compose up will use local images if available
-            console.warn('Warning: Failed to pull some images from registry. Proceeding with local/cached images.')
-            console.warn(`Reason: ${pullErr.message}`)
-          }
+        const { valid, errors } = await specValidator.validate(absIn)
+        if (valid) {
+          console.log('Spec is valid:', absIn)
+          return
         }
+        console.error(`Found ${errors.length} validation error(s):`)
+        errors.forEach(error => console.error(`  ${specValidator.formatError(error)}`))
+        process.exit(6)
+      } catch (err) {
+        console.error('Failed to validate spec:', err.message || err)
+        process.exit(6)
+      }
+    })
 
-        await composeInvoker.up(composeFile, { pull: shouldPull })
-        console.log('Services started successfully!')
-        
-        // Detect and wait for test containers to complete
-        // Try to find source directory (test-env, services, or same dir as compose file)
-        const composeDir = path.dirname(composeFile)
-        const possibleSourceDirs = [
-          path.join(composeDir, 'test-env'),
-          path.join(composeDir, 'services'),
-          composeDir
-        ]
-        
-        let sourcePath = null
-        for (const dir of possibleSourceDirs) {
-          try {
-            const stat = await fs.stat(dir)
-            if (stat.isDirectory()) {
-              sourcePath = dir
-              break
-            }
-          } catch {
-            // Directory doesn't exist, try next
-          }
+  program
+    .command('build')
+    .description('Build images of services with a build section, tagged as the generated compose file expects')
+    .requiredOption('-f, --file <path>', 'Path to xq YAML spec file or directory containing *.service.yml files')
+    .option('--service <name>', 'Only build this service (repeatable)', (value, previous) => [...previous, value], [])
+    .option('--parallel', 'Build all images at once')
+    .option('--build-arg <key=value>', 'Extra build argument; KEY alone reads it from the environment (repeatable)', (value, previous) => [...previous, value], [])
+    .option('--no-cache', 'Build without cache')
+    .option('--overrides <path>', 'Path to JSON or YAML file with overrides')
+    .option('--no-validate', 'Skip JSON Schema validation of the spec')
+    .option('--profile <name>', 'Apply a named profile from xq.config.yml')
+    .option('--set <key=value>', 'Override a single value, e.g. services.api.tag=pr-123 (repeatable)', (value, previous) => [...previous, value], [])
+    .action(async (opts) => {
+      try {
+        const absIn = path.resolve(process.cwd(), opts.file)
+        const overrides = opts.overrides
+          ? await composeGenerator.loadOverrides(path.resolve(process.cwd(), opts.overrides))
+          : undefined
+        const spec = await composeGenerator.resolveSpec(absIn, {
+          overrides,
+          validate: opts.validate,
+          profile: opts.profile,
+          set: opts.set
+        })
+
+        const results = await imageBuilder.build(spec, {
+          services: opts.service,
+          parallel: opts.parallel,
+          buildArgs: opts.buildArg,
+          noCache: opts.cache === false
+        })
+        if (results.length === 0) {
+          console.log('No services with a build section')
+          return
         }
-        
-        // Detect and wait for test containers (if any)
-        try {
-          const testContainers = await composeInvoker.detectTestContainers(composeFile, sourcePath)
-          if (testContainers.length > 0) {
-            console.log('')
-            console.log('🧪 Detected test containers:', testContainers.join(', '))
-            console.log('⏳ Waiting for test containers to complete...')
-            console.log('   (This may take a few moments while tests run)')
-            console.log('')
-            
-            const allPassed = await composeInvoker.waitForTestContainers(composeFile, testContainers)
-            if (!allPassed) {
-              console.error('')
-              console.error('❌ Some test containers failed. Check logs for details.')
-              process.exit(1)
-            }
-            
-            console.log('')
-            console.log('✅ All test containers completed successfully!')
-          }
-        } catch (detectError) {
-          // If test container detection fails, log warning but don't fail the command
-          // This allows the up command to succeed even if detection has issues
-          console.warn('Warning: Failed to detect test containers:', detectError.message)
+
+        results.filter(result => result.success).forEach(result => console.log(`✅ Built ${result.image}`))
+        const failed = results.filter(result => !result.success)
+        if (failed.length > 0) {
+          failed.forEach(result => console.error(`❌ Failed to build ${result.service}: ${result.error}`))
+          process.exit(7)
+        }
+      } catch (err) {
+        console.error('Failed to build images:', err.message || err)
+        process.exit(7)
+      }
+    })
+
+  program
+    .command('up')
+    .description('Start services from xq-compose.yml (detached mode)')
+    .option('--no-pull', 'Skip pulling images (uses cached images)')
+    .option('--env-name <name>', 'Environment name used with generate --env-name')
+    .option('--wait', 'Wait until every service is healthy (or running when it has no healthcheck)')
+    .option('--wait-timeout <seconds>', 'Per-service readiness timeout for --wait and for jobs', (value) => parseInt(value, 10), 120)
+    .option('--detect-tests', 'Guess test containers from file and service names when no service has role: test')
+    .option('--reuse', 'Leave running services with an unchanged config alone (generate with --reuse)')
+    .option('--workspace <dir>', 'Directory holding the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Generated compose file to use instead of the workspace one')
+    .action(async (opts) => {
+      try {
+        const environment = await resolveEnvironment(opts)
+        const code = await startEnvironment(environment, opts) || await runTestContainers(environment, opts)
+        if (code) {
+          process.exit(code)
         }
       } catch (err) {
         console.error('Failed to run up:', err.message || err)
@@ -117,13 +527,39 @@ module.exports = async function main() {
       }
     })
 
+  program
+    .command('run')
+    .description('Generate, start and test an environment, then tear it down')
+    .requiredOption('-f, --file <path>', 'Path to xq YAML spec file or directory containing *.service.yml files')
+    .option('--no-gateway', 'Disable default gateway injection')
+    .option('--overrides <path>', 'Path to JSON or YAML file with overrides')
+    .option('--no-validate', 'Skip JSON Schema validation of the spec')
+    .option('--profile <name>', 'Apply a named profile from xq.config.yml')
+    .option('--set <key=value>', 'Override a single value, e.g. services.api.tag=pr-123 (repeatable)', (value, previous) => [...previous, value], [])
+    .option('--env-name <name>', 'Isolated environment name (own compose project, network, files and host ports)')
+    .option('--port-offset <n>', 'Shift all host ports by n (defaults to a value derived from --env-name)', (value) => parseInt(value, 10))
+    .option('--no-pull', 'Skip pulling images (uses cached images)')
+    .option('--wait-timeout <seconds>', 'Per-service readiness timeout', (value) => parseInt(value, 10), 120)
+    .option('--detect-tests', 'Guess test containers from file and service names when no service has role: test')
+    .option('--keep', 'Leave the environment running and keep the generated files')
+    .option('--reuse', 'Reuse the running environment, only (re)creating services whose config changed, and leave it running')
+    .option('--workspace <dir>', 'Directory for the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Write the compose file here instead, with the other files next to it')
+    .argument('[command...]', 'Command to run on the host once the services are ready (after --)')
+    .action(async (command, opts) => {
+      process.exit(await runEnvironment(command, opts))
+    })
+
   program
     .command('down')
     .description('Stop and remove services from xq-compose.yml')
-    .action(async () => {
-      const composeFile = path.join(process.cwd(), 'xq-compose.yml')
+    .option('--env-name <name>', 'Environment name used with generate --env-name')
+    .option('--workspace <dir>', 'Directory holding the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Generated compose file to use instead of the workspace one')
+    .action(async (opts) => {
       try {
-        await composeInvoker.down(composeFile)
+        const { composeFile, projectName } = await resolveEnvironment(opts)
+        await composeInvoker.down(composeFile, { projectName })
         console.log('Services stopped successfully!')
       } catch (err) {
         console.error('Failed to run down:', err.message || err)
@@ -131,21 +567,81 @@ module.exports = async function main() {
       }
     })
 
+  program
+    .command('status')
+    .description('Show state, health, exit code and restart count of every service')
+    .option('--env-name <name>', 'Environment name used with generate --env-name')
+    .option('--json', 'Print the status as JSON')
+    .option('--workspace <dir>', 'Directory holding the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Generated compose file to use instead of the workspace one')
+    .action(async (opts) => {
+      try {
+        const { composeFile, projectName } = await resolveEnvironment(opts)
+        const services = await composeInvoker.getEnvironmentStatus(composeFile, { projectName })
+
+        if (opts.json) {
+          console.log(JSON.stringify(services, null, 2))
+          return
+        }
+
+        const rows = [
+          ['SERVICE', 'ROLE', 'STATE', 'HEALTH', 'EXIT CODE', 'RESTARTS'],
+          ...services.map(s => [
+            s.service,
+            s.role,
+            s.state,
+            s.health || '-',
+            s.exitCode === null ? '-' : String(s.exitCode),
+            s.restartCount === null ? '-' : String(s.restartCount)
+          ])
+        ]
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)))
+        rows.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()))
+      } catch (err) {
+        console.error('Failed to get status:', err.message || err)
+        process.exit(8)
+      }
+    })
+
   program
     .command('logs')
     .description('View logs from services in xq-compose.yml')
     .option('-f, --follow', 'Follow log output in real-time')
     .option('-t, --tail <lines>', 'Number of lines to show from the end of the logs', '100')
     .option('--timestamps', 'Show timestamps')
+    .option('--env-name <name>', 'Environment name used with generate --env-name')
+    .option('--output-dir <dir>', 'Write the full logs of each service to <dir>/<service>.log instead of printing them')
+    .option('--workspace <dir>', 'Directory holding the generated files and state (default: .xq)')
+    .option('-c, --compose <file>', 'Generated compose file to use instead of the workspace one')
     .argument('[service]', 'Specific service to show logs for (optional)')
-    .action(async (service, opts) => {
-      const composeFile = path.join(process.cwd(), 'xq-compose.yml')
+    .action(async (service, opts, cmd) => {
       try {
+        const { composeFile, projectName } = await resolveEnvironment(opts)
+
+        if (opts.outputDir) {
+          const results = await composeInvoker.dumpLogs(composeFile, {
+            outputDir: path.resolve(opts.outputDir),
+            services: service ? [service] : undefined,
+            // Files get the full logs unless --tail is given explicitly
+            tail: cmd.getOptionValueSource('tail') === 'cli' ? opts.tail : null,
+            timestamps: !!opts.timestamps,
+            projectName
+          })
+          results.forEach(result => result.success
+            ? console.log(`📄 ${result.service} -> ${path.relative(process.cwd(), result.file)}`)
+            : console.error(`❌ Failed to write logs of ${result.service}: ${result.error}`))
+          if (results.some(result => !result.success)) {
+            process.exit(5)
+          }
+          return
+        }
+
         await composeInvoker.logs(composeFile, {
           follow: !!opts.follow,
           tail: opts.tail,
           timestamps: !!opts.timestamps,
-          service
+          service,
+          projectName
         })
       } catch (err) {
         console.error('Failed to get logs:', err.message || err)
@@ -156,3 +652,4 @@ module.exports = async function main() {
   await program.parseAsync(process.argv)
 }
 
+module.exports.runEnvironment = runEnvironment
@@ -0,0 +1,99 @@
+/**
+ * Type declarations of the library entry point (src/index.js)
+ * Keep in sync with src/api/xqEnvironment.js
+ */
+
+export interface XqEnvironmentPaths {
+  envName: string | undefined
+  projectName: string | undefined
+  composeFile: string
+  nginxConfig: string
+  manifestFile: string
+  stateFile: string
+  artifactsDir: string
+  logsDir: string
+  /** Spec the environment was generated from, null for files generated by older versions */
+  spec: string | null
+}
+
+export interface XqServiceFailure {
+  service: string
+  reason: string
+}
+
+export interface XqServiceStatus {
+  service: string
+  role: 'service' | 'job' | 'test'
+  state: string
+  health: string
+  exitCode: number | null
+  restartCount: number | null
+  ready: boolean
+  failed: boolean
+  reason: string
+}
+
+export interface XqLogFile {
+  service: string
+  file: string
+  success: boolean
+  error?: string
+}
+
+export interface XqArtifact {
+  service: string
+  path: string
+  destination: string
+  success: boolean
+  error?: string
+}
+
+export interface XqTestResult {
+  passed: boolean
+  failures: XqServiceFailure[]
+  crashes: XqServiceFailure[]
+  artifacts: XqArtifact[]
+}
+
+export interface XqLogger {
+  log(...args: unknown[]): void
+  warn(...args: unknown[]): void
+}
+
+export interface XqFromDirectoryOptions {
+  profile?: string
+  set?: string[]
+  overrides?: Record<string, unknown> | string
+  envName?: string
+  portOffset?: number
+  gateway?: boolean
+  validate?: boolean
+  outputDir?: string
+  reuse?: boolean
+  logger?: XqLogger
+}
+
+export interface XqOpenOptions {
+  envName?: string
+  outputDir?: string
+  logger?: XqLogger
+}
+
+export declare class XqEnvironment {
+  constructor(paths: XqEnvironmentPaths, manifest: Record<string, any>, options?: { logger?: XqLogger })
+
+  readonly paths: XqEnvironmentPaths
+  readonly manifest: Record<string, any>
+
+  static fromDirectory(dir: string, options?: XqFromDirectoryOptions): Promise<XqEnvironment>
+  static open(options?: XqOpenOptions): Promise<XqEnvironment | null>
+
+  up(options?: { pull?: boolean, wait?: boolean, timeout?: number, reuse?: boolean }): Promise<void>
+  waitForTests(options?: { timeout?: number, artifactsDir?: string }): Promise<XqTestResult>
+  url(service: string): string
+  status(): Promise<XqServiceStatus[]>
+  isReady(): Promise<boolean>
+  logs(service: string, options?: { tail?: string | null, timestamps?: boolean }): Promise<string>
+  saveLogs(outputDir?: string): Promise<XqLogFile[]>
+  down(options?: { removeVolumes?: boolean, removeFiles?: boolean }): Promise<void>
+}
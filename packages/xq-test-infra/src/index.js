@@ -0,0 +1,9 @@
+/**
+ * Library entry point of @chauhaidang/xq-test-infra
+ * The CLI lives in ./cli; code that drives environments directly uses XqEnvironment
+ */
+const XqEnvironment = require('./api/xqEnvironment')
+
+module.exports = {
+  XqEnvironment
+}
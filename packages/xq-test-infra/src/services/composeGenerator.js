@@ -5,17 +5,37 @@ const { v4: uuidv4 } = require('uuid')
 const YAML = require('yaml')
 const gateway = require('./gateway')
 const serviceLoader = require('./serviceLoader')
+const specValidator = require('./specValidator')
+const { loadEnv } = require('./envInterpolation')
+const { deepMerge } = require('./deepMerge')
+const PortAllocator = require('./portAllocator')
+const envManifest = require('./envManifest')
+const healthcheckRegistry = require('./healthcheckRegistry')
+const configHash = require('./configHash')
+const workspace = require('./workspace')
+
+// --set leaves the schema types as strings; their values are kept as typed (tag=1.10 stays "1.10")
+const STRING_KEYS = new Set(['name', 'role', 'image', 'tag', 'restart'])
+
+// Timing for healthchecks expanded from the `health` shorthand
+const HEALTH_DEFAULTS = {
+  interval: '5s',
+  timeout: '3s',
+  retries: 10,
+  start_period: '5s'
+}
 
 class ComposeGenerator {
   constructor() {
     this.tempFiles = new Set()
-    this.setupCleanup()
   }
 
+  /**
+   * Remove temporary files when the process ends
+   * Only installed once a file is generated without keepFile, so requiring the module has no process-wide effects
+   */
   setupCleanup() {
-    // Avoid multiple listeners in tests
     if (!this.listenersSetup) {
-      process.setMaxListeners(20) // Increase limit for tests
       process.on('exit', () => this.cleanupTempFiles())
       process.on('SIGINT', () => this.cleanupTempFiles())
       process.on('SIGTERM', () => this.cleanupTempFiles())
@@ -23,37 +43,116 @@ class ComposeGenerator {
     }
   }
 
+  /**
+   * Track a generated file for removal when the process ends
+   * @param {string} file - Path to the file
+   */
+  addTempFile(file) {
+    this.setupCleanup()
+    this.tempFiles.add(file)
+  }
+
   async generateCompose(specPath, options = {}) {
     const {
       gateway: enableGateway = true,
       keepFile = true,
-      overrides = {}
+      overrides = {},
+      validate = true,
+      profile,
+      set = [],
+      envName,
+      portOffset,
+      baseDir,
+      composeFile,
+      reuse = false
     } = options
 
-    // Read and parse XQ spec
-    const spec = await this.readXQSpec(specPath)
+    const mergedSpec = await this.resolveSpec(specPath, { overrides, validate, profile, set })
+
+    // Named environments get their own project, files and host port range
+    const environment = this.getEnvironmentPaths(envName, composeFile ? path.dirname(path.resolve(composeFile)) : baseDir)
+    if (composeFile) {
+      environment.composeFile = path.resolve(composeFile)
+    }
+    const offset = portOffset !== undefined
+      ? portOffset
+      : (environment.envName ? this.derivePortOffset(environment.envName) : 0)
 
-    // Apply overrides
-    const mergedSpec = this.applyOverrides(spec, overrides)
+    // Reused environments keep their host ports, which the running containers still hold
+    const previousPorts = reuse ? await this.readPreviousPorts(environment.composeFile) : {}
 
     // Generate compose object
-    const compose = await this.generateComposeObject(mergedSpec, enableGateway, keepFile)
+    const compose = await this.generateComposeObject(mergedSpec, enableGateway, keepFile, {
+      projectName: environment.projectName,
+      nginxConfig: environment.nginxConfig,
+      portOffset: offset,
+      previousPorts
+    })
+    if (reuse) {
+      await this.addConfigHashes(compose, environment.nginxConfig)
+    }
 
-    // Always output to xq-compose.yml in current directory
-    const finalOutputPath = path.join(process.cwd(), 'xq-compose.yml')
+    // Output to xq-compose.yml (or xq-compose.<env-name>.yml) in baseDir, the current directory by default
+    // unless an explicit compose file is given
+    const finalOutputPath = environment.composeFile
 
     // Write compose file
     await fs.outputFile(finalOutputPath, YAML.stringify(compose), 'utf8')
 
-    // Track temp file for cleanup only if not keeping files
+    // Write xq-env.json so tests can discover service URLs instead of hardcoding ports
+    const manifest = envManifest.buildManifest(compose, mergedSpec, environment)
+    await envManifest.writeManifest(manifest, environment.manifestFile)
+
+    // Record the spec and project so later commands find both from the compose file alone
+    await workspace.writeState(environment.stateFile, {
+      spec: path.resolve(specPath),
+      envName: environment.envName,
+      projectName: environment.projectName || workspace.defaultProjectName()
+    })
+
+    // Track temp files for cleanup only if not keeping files
     if (!keepFile) {
-      this.tempFiles.add(finalOutputPath)
+      this.addTempFile(finalOutputPath)
+      this.addTempFile(environment.manifestFile)
+      this.addTempFile(environment.stateFile)
     }
 
     return finalOutputPath
   }
 
-  async readXQSpec(specPath) {
+  /**
+   * Read a spec the way generate does: validate, apply the profile, the overrides file and --set values
+   * @param {string} specPath - Spec file or service directory
+   * @param {Object} options - Options
+   * @param {Object} [options.overrides] - Overrides object
+   * @param {boolean} [options.validate=true] - Validate against the JSON Schema first
+   * @param {string} [options.profile] - Profile from xq.config.yml
+   * @param {string[]} [options.set] - Inline overrides like "services.api.tag=pr-123"
+   * @returns {Promise<Object>} Resolved spec
+   */
+  async resolveSpec(specPath, options = {}) {
+    const { overrides = {}, validate = true, profile, set = [] } = options
+
+    // Validate spec files against the JSON Schema before touching them
+    if (validate) {
+      await specValidator.assertValid(specPath)
+    }
+
+    // Read and parse XQ spec
+    const spec = await this.readXQSpec(specPath, { profile })
+
+    // Apply overrides file, then inline --set overrides on top
+    let mergedSpec = this.applyOverrides(spec, overrides)
+    if (set.length > 0) {
+      mergedSpec = this.applyOverrides(mergedSpec, this.parseSetOverrides(set))
+    }
+
+    return mergedSpec
+  }
+
+  async readXQSpec(specPath, options = {}) {
+    const { profile } = options
+
     try {
       // Check if path exists
       const pathExists = await fs.pathExists(specPath)
@@ -66,11 +165,25 @@ class ComposeGenerator {
 
       if (stat.isDirectory()) {
         // Load from directory using serviceLoader
-        return await serviceLoader.loadFromDirectory(specPath)
+        return await serviceLoader.loadFromDirectory(specPath, { profile })
       } else if (stat.isFile()) {
+        if (profile) {
+          throw new Error(`Profiles are defined in xq.config.yml and require a service directory, got file: ${specPath}`)
+        }
+
         // Load from single file (backward compatible)
         const content = await fs.readFile(specPath, 'utf8')
-        return YAML.parse(content)
+        const env = await loadEnv(path.dirname(specPath))
+        const spec = serviceLoader.interpolateFile(YAML.parse(content), env, path.basename(specPath))
+        if (!spec || !spec.services || Array.isArray(spec.services)) {
+          return spec
+        }
+
+        // Templates and defaults are folded into the services; build contexts are relative to the spec file
+        const { templates, defaults, ...resolved } = spec
+        resolved.services = serviceLoader.applyDefaults(serviceLoader.resolveExtends(spec.services, templates), defaults)
+        resolved.services = serviceLoader.resolveBuildContexts(resolved.services, path.dirname(specPath))
+        return resolved
       } else {
         throw new Error(`Invalid path type: ${specPath} (must be a file or directory)`)
       }
@@ -79,22 +192,128 @@ class ComposeGenerator {
     }
   }
 
-  applyOverrides(spec, overrides) {
-    // Deep merge overrides with spec
-    const merged = JSON.parse(JSON.stringify(spec))
+  /**
+   * Load an overrides file
+   * @param {string} filePath - Path to a JSON or YAML overrides file
+   * @returns {Promise<Object>} Parsed overrides
+   */
+  async loadOverrides(filePath) {
+    const content = await fs.readFile(filePath, 'utf8')
+    const isYaml = /\.ya?ml$/i.test(filePath)
 
-    if (overrides.services) {
-      Object.keys(overrides.services).forEach(serviceName => {
-        if (merged.services && merged.services[serviceName]) {
-          Object.assign(merged.services[serviceName], overrides.services[serviceName])
+    try {
+      return (isYaml ? YAML.parse(content) : JSON.parse(content)) || {}
+    } catch (error) {
+      throw new Error(`Failed to parse overrides file ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Convert inline --set expressions into an overrides object
+   * Values are parsed as YAML scalars/flow collections (numbers, booleans, null, [a, b], {k: v});
+   * values under `environment` and `labels` and of string fields like `tag` are kept exactly as typed,
+   * except `null`, which deletes them.
+   * `key+=value` appends to a list.
+   * @param {string[]} expressions - Expressions like "services.api.tag=pr-123"
+   * @returns {Object} Overrides object
+   */
+  parseSetOverrides(expressions) {
+    const overrides = {}
+
+    for (const expression of expressions) {
+      const match = expression.match(/^((?:[^=\\]|\\.)+?)(\+?)=([\s\S]*)$/)
+      if (!match) {
+        throw new Error(`Invalid --set expression '${expression}': expected key=value`)
+      }
+
+      const [, rawKey, append, rawValue] = match
+      // Dots separate path segments; "\." keeps a literal dot in a segment
+      const segments = rawKey.split(/(?<!\\)\./).map(segment => segment.replace(/\\\./g, '.'))
+      if (segments.some(segment => segment === '')) {
+        throw new Error(`Invalid --set expression '${expression}': empty key segment`)
+      }
+
+      // Variables, labels and string fields take the text as typed, only a bare `null` deletes them
+      const stringValued = STRING_KEYS.has(segments[segments.length - 1]) ||
+        segments.slice(0, -1).some(segment => segment === 'environment' || segment === 'labels')
+      let value
+      if (stringValued) {
+        value = rawValue === 'null' ? null : rawValue
+      } else {
+        try {
+          value = rawValue === '' ? '' : YAML.parse(rawValue)
+        } catch (error) {
+          value = rawValue
         }
+      }
+      if (append) {
+        value = { $append: Array.isArray(value) ? value : [value] }
+      }
+
+      let target = overrides
+      segments.slice(0, -1).forEach(segment => {
+        if (target[segment] === null || typeof target[segment] !== 'object') {
+          target[segment] = {}
+        }
+        target = target[segment]
       })
+      target[segments[segments.length - 1]] = value
+    }
+
+    return overrides
+  }
+
+  /**
+   * Deep merge overrides into the spec
+   * Services listed in overrides are patched, added when missing, or removed when set to null
+   * @param {Object} spec - XQ spec
+   * @param {Object} overrides - Overrides (see deepMerge for list directives)
+   * @returns {Object} New merged spec
+   */
+  applyOverrides(spec, overrides = {}) {
+    // List-form environment and labels of patched services become maps first, so they are merged key by key instead of replaced
+    const normalize = (services, names) => Object.fromEntries(Object.entries(services).map(([name, service]) => [
+      name,
+      names.includes(name) && service !== null && typeof service === 'object' && !Array.isArray(service)
+        ? serviceLoader.normalizeEnvironment(service)
+        : service
+    ]))
+    const patched = overrides.services ? Object.keys(overrides.services) : []
+    const merged = patched.length > 0
+      ? deepMerge(
+        { ...spec, services: normalize(spec.services || {}, patched) },
+        { ...overrides, services: normalize(overrides.services, patched) }
+      )
+      : deepMerge(spec, overrides)
+
+    if (overrides.services) {
+      const existing = spec.services || {}
+      for (const [name, service] of Object.entries(merged.services || {})) {
+        if (!existing[name] && !service.image) {
+          throw new Error(`Override adds service '${name}' without an image`)
+        }
+      }
+
+      // Removed services must not be referenced by the remaining ones
+      serviceLoader.validateDependencies(merged)
+      const services = merged.services || {}
+      const dependencies = merged.dependencies || {}
+      for (const [name, service] of Object.entries(services)) {
+        for (const group of serviceLoader.dependencyNames(service.dependencyGroups)) {
+          const missing = serviceLoader.dependencyNames(dependencies[group]).find(dep => existing[dep] && !services[dep])
+          if (missing) {
+            throw new Error(`Override removes service '${missing}' required by '${name}' through dependency group '${group}'`)
+          }
+        }
+      }
     }
 
     return merged
   }
 
-  async generateComposeObject(spec, enableGateway, keepFile = false) {
+  async generateComposeObject(spec, enableGateway, keepFile = false, options = {}) {
+    const { projectName, nginxConfig, portOffset = 0, previousPorts = {} } = options
+
     const compose = {
       version: '3.8',
       services: {},
@@ -105,37 +324,91 @@ class ComposeGenerator {
       }
     }
 
+    if (projectName) {
+      compose.networks['xq-network'].name = `${projectName}-network`
+    }
+
     // Process dependencies if centralized dependencies are defined
     const centralizedDeps = spec.dependencies || {}
 
-    // Auto port assignment - track used ports
-    const usedPorts = new Set()
-    let nextPort = spec.portRange?.start || 3000
+    // Host ports come from portRange (shifted for named environments), skipping ports bound on the host
+    const portRange = spec.portRange || {}
+    const allocator = new PortAllocator({
+      start: (portRange.start || 3000) + portOffset,
+      end: portRange.end !== undefined ? portRange.end + portOffset : undefined
+    })
+
+    // Reserve manual ports first so clashes are reported and auto assignment steps around them
+    const sources = {}
+    Object.entries(spec.services || {}).forEach(([name, service]) => {
+      sources[name] = portOffset && service.ports
+        ? { ...service, ports: this.offsetPorts(service.ports, portOffset) }
+        : service
+      // Well-known images without a healthcheck get one from the registry (postgres, redis, ...)
+      const inferredHealth = healthcheckRegistry.infer(sources[name], spec.healthchecks)
+      if (inferredHealth) {
+        sources[name] = { ...sources[name], health: inferredHealth }
+      }
+      if (sources[name].ports) {
+        allocator.reserveMappings(sources[name].ports, name)
+      }
+    })
+
+    // Dependents of one-shot jobs wait for them to exit 0 unless a condition is given
+    const jobs = new Set(Object.keys(sources).filter(name => sources[name].role === 'job'))
+
+    // Auto-assigned services keep their previous host port (generate --reuse) unless a manual mapping took it
+    const autoPorted = name => !sources[name].ports && sources[name].port && sources[name].autoPort !== false
+    const keptPorts = {}
+    Object.keys(sources).filter(autoPorted).forEach(name => {
+      const port = previousPorts[name]
+      if (port >= allocator.start && port <= allocator.end && !allocator.used.has(port)) {
+        keptPorts[name] = port
+      }
+    })
+    const kept = new Set(Object.values(keptPorts))
 
     // Add services from spec
-    if (spec.services) {
-      Object.entries(spec.services).forEach(([name, service]) => {
-        compose.services[name] = this.convertServiceToCompose(service, centralizedDeps, usedPorts, nextPort)
-
-        // Update nextPort for auto assignment
-        if (service.autoPort !== false) {
-          nextPort++
-          while (usedPorts.has(nextPort)) {
-            nextPort++
-          }
+    for (const [name, source] of Object.entries(sources)) {
+      let hostPort = keptPorts[name]
+      if (hostPort === undefined && autoPorted(name)) {
+        hostPort = await allocator.nextFree()
+        while (kept.has(hostPort)) {
+          hostPort = await allocator.nextFree(hostPort + 1)
         }
-      })
+      }
+      try {
+        compose.services[name] = this.convertServiceToCompose(source, centralizedDeps, allocator.used, hostPort, jobs)
+      } catch (error) {
+        throw new Error(`Service '${name}': ${error.message}`)
+      }
     }
 
+    this.checkDependencyConditions(compose)
+
+    // Extra networks are existing networks the services join, not created by compose
+    Object.values(spec.services || {}).forEach(service => {
+      (service.networks || []).forEach(network => {
+        if (!compose.networks[network]) {
+          compose.networks[network] = { external: true }
+        }
+      })
+    })
+
     // Add gateway if enabled
     if (enableGateway && Object.keys(compose.services).length > 0) {
-      await this.addGateway(compose, spec.services, keepFile)
+      await this.addGateway(compose, spec.services, keepFile, {
+        nginxConfig,
+        portOffset,
+        gatewayPort: spec.gateway?.port,
+        previousPort: previousPorts['xq-gateway']
+      })
     }
 
     return compose
   }
 
-  convertServiceToCompose(service, centralizedDeps = {}, usedPorts = new Set(), currentPort = 3000) {
+  convertServiceToCompose(service, centralizedDeps = {}, usedPorts = new Set(), currentPort = 3000, jobs = new Set()) {
     const composeService = {
       image: `${service.image}:${service.tag || 'latest'}`,
       networks: ['xq-network']
@@ -147,10 +420,7 @@ class ComposeGenerator {
       composeService.ports = service.ports
       // Track used ports
       service.ports.forEach(port => {
-        const hostPort = parseInt(port.split(':')[0])
-        if (!isNaN(hostPort)) {
-          usedPorts.add(hostPort)
-        }
+        PortAllocator.hostPorts(port).forEach(hostPort => usedPorts.add(hostPort))
       })
     } else if (service.port && service.autoPort !== false) {
       // Auto port assignment
@@ -162,49 +432,195 @@ class ComposeGenerator {
       usedPorts.add(hostPort)
     }
 
+    // Compose builds the image and tags it with the image reference above
+    if (service.build) {
+      composeService.build = typeof service.build === 'string' ? { context: service.build } : service.build
+    }
+
     if (service.environment) {
       composeService.environment = service.environment
     }
 
     if (service.volumes) {
-      composeService.volumes = service.volumes
+      composeService.volumes = this.resolveVolumePaths(service.volumes)
+    }
+
+    if (service.labels) {
+      composeService.labels = service.labels
+    }
+
+    if (service.restart) {
+      composeService.restart = service.restart
+    }
+
+    // Jobs and test runners run once; compose ignores x- fields, `up` reads it to wait for them and the gateway skips them
+    if (service.role === 'job' || service.role === 'test') {
+      composeService['x-xq-role'] = service.role
+      composeService.restart = service.restart || 'no'
+    }
+
+    // Copied out of the container by `up` once the tests finished
+    if (service.artifacts) {
+      if (service.role !== 'test') {
+        throw new Error('artifacts are only collected from services with role: test')
+      }
+      // Each path is copied to <service>/<basename>, so two paths with the same name would overwrite each other
+      const seen = new Map()
+      for (const artifact of service.artifacts) {
+        const basename = path.posix.basename(artifact.replace(/\/+$/, ''))
+        if (seen.has(basename)) {
+          throw new Error(`artifacts '${seen.get(basename)}' and '${artifact}' would both be copied to '${basename}'`)
+        }
+        seen.set(basename, artifact)
+      }
+      composeService['x-xq-artifacts'] = service.artifacts
+    }
+
+    if (service.networks) {
+      composeService.networks = [...new Set([...composeService.networks, ...service.networks])]
     }
 
     if (service.command) {
       composeService.command = service.command
     }
 
+    if (service.health && service.healthcheck) {
+      throw new Error('use either health or healthcheck, not both')
+    }
+
     if (service.healthcheck) {
       composeService.healthcheck = service.healthcheck
     }
 
-    // Handle dependencies - check both service-level and centralized
-    let dependencies = []
+    if (service.health) {
+      composeService.healthcheck = this.expandHealth(service.health, service)
+      // Compose ignores x- fields; `up --wait` reads it as this service's readiness timeout
+      if (service.health.wait_timeout) {
+        composeService['x-xq-wait-timeout'] = service.health.wait_timeout
+      }
+    }
 
-    if (service.depends_on) {
-      dependencies = [...service.depends_on]
+    // Handle dependencies - check both service-level and centralized
+    const dependencies = this.resolveDependencies(service, centralizedDeps, jobs)
+
+    if (dependencies.size > 0) {
+      const conditional = [...dependencies.values()].some(options => Object.keys(options).length > 0)
+      // Keep the short list form unless a condition (or restart/required) needs the long form
+      composeService.depends_on = conditional
+        ? Object.fromEntries([...dependencies].map(([name, options]) => [name, { condition: 'service_started', ...options }]))
+        : [...dependencies.keys()]
     }
 
-    // Add centralized dependencies if service is in dependency groups
-    if (service.dependencyGroups) {
-      service.dependencyGroups.forEach(group => {
-        if (centralizedDeps[group]) {
-          dependencies = [...dependencies, ...centralizedDeps[group]]
-        }
+    return composeService
+  }
+
+  /**
+   * Collect a service's dependencies from depends_on and its dependency groups
+   * Both accept a list of names or the compose long form ({ name: { condition } }).
+   * A condition on a dependencyGroups entry applies to every member of the group;
+   * depends_on wins over groups for a service listed in both.
+   * Jobs without a condition default to service_completed_successfully.
+   * @param {Object} service - Service definition
+   * @param {Object} centralizedDeps - Dependency groups from xq.config.yml
+   * @param {Set<string>} jobs - Names of services with role: job
+   * @returns {Map<string, Object>} Dependency name to compose options (empty for plain names)
+   */
+  resolveDependencies(service, centralizedDeps = {}, jobs = new Set()) {
+    const dependencies = new Map()
+
+    Object.entries(this.normalizeDependsOn(service.dependencyGroups)).forEach(([group, groupOptions]) => {
+      Object.entries(this.normalizeDependsOn(centralizedDeps[group])).forEach(([name, options]) => {
+        dependencies.set(name, { ...dependencies.get(name), ...options, ...groupOptions })
       })
+    })
+
+    Object.entries(this.normalizeDependsOn(service.depends_on)).forEach(([name, options]) => {
+      dependencies.set(name, { ...options })
+    })
+
+    dependencies.forEach((options, name) => {
+      if (jobs.has(name) && !options.condition) {
+        options.condition = 'service_completed_successfully'
+      }
+    })
+
+    return dependencies
+  }
+
+  /**
+   * Convert the list or long form of depends_on into a map
+   * @param {Array|Object} value - List of names or { name: { condition, restart, required } }
+   * @returns {Object} Name to options
+   */
+  normalizeDependsOn(value) {
+    if (!value) return {}
+    if (Array.isArray(value)) return Object.fromEntries(value.map(name => [name, {}]))
+    return Object.fromEntries(Object.entries(value).map(([name, options]) => [name, { ...options }]))
+  }
+
+  /**
+   * Check that service_healthy dependencies point at services with a healthcheck
+   * Compose only reports this when the environment is started.
+   * @param {Object} compose - Compose object
+   * @throws {Error} When a service waits for a dependency that can never become healthy
+   */
+  checkDependencyConditions(compose) {
+    for (const [name, composeService] of Object.entries(compose.services)) {
+      if (!composeService.depends_on || Array.isArray(composeService.depends_on)) continue
+
+      for (const [dependency, options] of Object.entries(composeService.depends_on)) {
+        const target = compose.services[dependency]
+        if (options.condition === 'service_healthy' && target && (!target.healthcheck || target.healthcheck.disable)) {
+          throw new Error(`Service '${name}' waits for '${dependency}' to be healthy, but '${dependency}' has no healthcheck`)
+        }
+      }
     }
+  }
 
-    if (dependencies.length > 0) {
-      composeService.depends_on = [...new Set(dependencies)] // Remove duplicates
+  /**
+   * Expand the `health` shorthand into a compose healthcheck
+   * @param {Object} health - Shorthand with one of http (path), tcp (port) or command, plus optional timing
+   * @param {Object} service - Service definition, used to find the container port for http checks
+   * @returns {Object} Compose healthcheck
+   */
+  expandHealth(health, service = {}) {
+    const { http, tcp, command, port, wait_timeout: _waitTimeout, ...timing } = health
+    let test
+
+    if (http !== undefined) {
+      const containerPort = port || service.port || this.firstContainerPort(service.ports) || 80
+      const url = `http://localhost:${containerPort}${http}`
+      // Images ship either busybox wget or curl; try both
+      test = ['CMD-SHELL', `wget -q --spider ${url} || curl -fsS -o /dev/null ${url} || exit 1`]
+    } else if (tcp !== undefined) {
+      test = ['CMD-SHELL', `nc -z localhost ${tcp} || bash -c 'exec 3<>/dev/tcp/localhost/${tcp}' || exit 1`]
+    } else if (command !== undefined) {
+      test = Array.isArray(command) ? ['CMD', ...command] : ['CMD-SHELL', command]
+    } else {
+      throw new Error('health needs one of http, tcp or command')
     }
 
-    return composeService
+    return { test, ...HEALTH_DEFAULTS, ...timing }
   }
 
-  async addGateway(compose, originalServices = {}, keepFile = false) {
+  /**
+   * Container port of the first port mapping
+   * @param {string[]} [ports] - Port mappings
+   * @returns {number|undefined} Container port
+   */
+  firstContainerPort(ports) {
+    if (!Array.isArray(ports) || ports.length === 0) return undefined
+    const containerPart = String(ports[0]).split('/')[0].split(':').pop()
+    const port = parseInt(containerPart, 10)
+    return Number.isNaN(port) ? undefined : port
+  }
+
+  async addGateway(compose, originalServices = {}, keepFile = false, options = {}) {
+    const { nginxConfig, portOffset = 0, gatewayPort: pinnedPort, previousPort } = options
+
     // Generate nginx config in project directory
     // Pass both compose services (for ports) and original services (for routes)
-    const nginxConfigPath = path.join(process.cwd(), 'nginx-gateway.conf')
+    const nginxConfigPath = nginxConfig || path.join(process.cwd(), 'nginx-gateway.conf')
 
     // Merge compose services with routes from original services
     const servicesWithRoutes = {}
@@ -219,29 +635,29 @@ class ComposeGenerator {
 
     // Add to temp files for cleanup only if not keeping files
     if (!keepFile) {
-      this.tempFiles.add(nginxConfigPath)
+      this.addTempFile(nginxConfigPath)
     }
 
-    // Find an available port for gateway (avoid conflicts)
-    const usedPorts = new Set()
-    Object.values(compose.services).forEach(service => {
-      if (service.ports) {
-        service.ports.forEach(port => {
-          const hostPort = port.split(':')[0]
-          usedPorts.add(parseInt(hostPort))
-        })
-      }
+    // Gateway port: pinned in xq.config.yml, the previous one (generate --reuse), or the first free host port from 8080 (shifted for named environments)
+    const allocator = new PortAllocator()
+    Object.entries(compose.services).forEach(([name, service]) => {
+      allocator.reserveMappings(service.ports || [], name)
     })
 
-    // Find next available port starting from 8080
-    let gatewayPort = 8080
-    while (usedPorts.has(gatewayPort)) {
-      gatewayPort++
+    let gatewayPort
+    if (pinnedPort !== undefined) {
+      gatewayPort = pinnedPort + portOffset
+      allocator.reserve(gatewayPort, 'xq-gateway')
+    } else if (previousPort >= 8080 + portOffset && !allocator.used.has(previousPort)) {
+      gatewayPort = previousPort
+    } else {
+      gatewayPort = await allocator.nextFree(8080 + portOffset, 65535)
     }
 
     // Gateway waits for backends: service_healthy when the service has a healthcheck (avoids nginx 502 while app boots), else service_started
     const gatewayDependsOn = {}
     for (const name of Object.keys(compose.services)) {
+      if (compose.services[name]['x-xq-role']) continue
       gatewayDependsOn[name] = {
         condition: compose.services[name].healthcheck ? 'service_healthy' : 'service_started'
       }
@@ -257,6 +673,156 @@ class ComposeGenerator {
     }
   }
 
+  /**
+   * Host ports of a previously generated compose file, to keep them when regenerating a running environment
+   * @param {string} composeFile - Path to the previous compose file
+   * @returns {Promise<Object>} Map of service name to the host port of its first port mapping; empty without a previous file
+   */
+  async readPreviousPorts(composeFile) {
+    if (!(await fs.pathExists(composeFile))) {
+      return {}
+    }
+
+    let compose
+    try {
+      compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    } catch (error) {
+      return {}
+    }
+
+    const ports = {}
+    Object.entries(compose.services || {}).forEach(([name, service]) => {
+      const [mapping] = service.ports || []
+      const [hostPort] = mapping ? PortAllocator.hostPorts(mapping) : []
+      if (hostPort) ports[name] = hostPort
+    })
+    return ports
+  }
+
+  /**
+   * Label every service with a hash of its resolved config (xq.config-hash), for `up --reuse`
+   * The gateway hash covers the generated nginx config too, which is mounted rather than part of the service
+   * @param {Object} compose - Compose object, modified in place
+   * @param {string} nginxConfig - Path to the generated nginx config
+   */
+  async addConfigHashes(compose, nginxConfig) {
+    for (const [name, service] of Object.entries(compose.services)) {
+      const extra = name === 'xq-gateway' ? await fs.readFile(nginxConfig, 'utf8') : ''
+      compose.services[name] = configHash.withHashLabel(service, configHash.hashService(service, extra))
+    }
+  }
+
+  /**
+   * Make relative bind mount sources absolute
+   * Compose resolves them against the compose file, which lives in the workspace rather than
+   * the directory generate runs in
+   * @param {Array<string|Object>} volumes - Short (`./data:/data`) or long form volumes
+   * @param {string} [baseDir] - Directory relative sources resolve against
+   * @returns {Array<string|Object>} Volumes with absolute bind mount sources
+   */
+  resolveVolumePaths(volumes, baseDir = process.cwd()) {
+    const isRelative = source => typeof source === 'string' && /^\.\.?(\/|$)/.test(source)
+    return volumes.map(volume => {
+      if (typeof volume === 'string') {
+        const [source, ...rest] = volume.split(':')
+        return isRelative(source) && rest.length > 0
+          ? [path.resolve(baseDir, source), ...rest].join(':')
+          : volume
+      }
+      if (volume && volume.type === 'bind' && isRelative(volume.source)) {
+        return { ...volume, source: path.resolve(baseDir, volume.source) }
+      }
+      return volume
+    })
+  }
+
+  /**
+   * Resolve compose project name and generated file paths for an environment
+   * Without a name the classic xq-compose.yml / nginx-gateway.conf / xq-env.json layout is used
+   * @param {string} [envName] - Environment name (e.g. branch name)
+   * @param {string} [baseDir] - Directory for generated files
+   * @returns {{envName: string|undefined, projectName: string|undefined, composeFile: string, nginxConfig: string, manifestFile: string, stateFile: string, artifactsDir: string, logsDir: string}}
+   */
+  getEnvironmentPaths(envName, baseDir = process.cwd()) {
+    if (!envName) {
+      return {
+        envName: undefined,
+        projectName: undefined,
+        composeFile: path.join(baseDir, 'xq-compose.yml'),
+        nginxConfig: path.join(baseDir, 'nginx-gateway.conf'),
+        manifestFile: path.join(baseDir, 'xq-env.json'),
+        stateFile: path.join(baseDir, 'xq-state.json'),
+        artifactsDir: path.join(baseDir, 'xq-artifacts'),
+        logsDir: path.join(baseDir, 'xq-logs')
+      }
+    }
+
+    const name = this.normalizeEnvName(envName)
+    return {
+      envName: name,
+      projectName: `xq-${name}`,
+      composeFile: path.join(baseDir, `xq-compose.${name}.yml`),
+      nginxConfig: path.join(baseDir, `nginx-gateway.${name}.conf`),
+      manifestFile: path.join(baseDir, `xq-env.${name}.json`),
+      stateFile: path.join(baseDir, `xq-state.${name}.json`),
+      artifactsDir: path.join(baseDir, `xq-artifacts.${name}`),
+      logsDir: path.join(baseDir, `xq-logs.${name}`)
+    }
+  }
+
+  /**
+   * Normalize an environment name into a valid compose project name suffix
+   * @param {string} envName - Raw name (e.g. "feature/Login")
+   * @returns {string} Normalized name (e.g. "feature-login")
+   */
+  normalizeEnvName(envName) {
+    const normalized = String(envName)
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^[-_]+|[-_]+$/g, '')
+
+    if (!normalized) {
+      throw new Error(`Invalid environment name: '${envName}'`)
+    }
+    return normalized
+  }
+
+  /**
+   * Derive a stable host port offset for a named environment
+   * Two environments with different names usually land on different port ranges
+   * @param {string} envName - Normalized environment name
+   * @returns {number} Offset between 100 and 5000, in steps of 100
+   */
+  derivePortOffset(envName) {
+    let hash = 0
+    for (const char of envName) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+    }
+    return ((hash % 50) + 1) * 100
+  }
+
+  /**
+   * Shift the host side of port mappings by an offset
+   * @param {string[]} ports - Port mappings ("host:container", "ip:host:container" or "container")
+   * @param {number} offset - Offset to add to host ports, mappings without a numeric host port are kept
+   * @returns {string[]} Shifted port mappings
+   */
+  offsetPorts(ports, offset) {
+    return ports.map(port => {
+      const parts = String(port).split(':')
+      if (parts.length < 2) return port
+
+      const hostIndex = parts.length - 2
+      // An empty host part ("127.0.0.1::80") lets docker pick the port, variables are left to compose
+      if (!/^\d+(-\d+)?$/.test(parts[hostIndex])) return port
+      parts[hostIndex] = parts[hostIndex]
+        .split('-')
+        .map(value => String(parseInt(value, 10) + offset))
+        .join('-')
+      return parts.join(':')
+    })
+  }
+
   createTempPath(prefix, suffix) {
     const tempDir = os.tmpdir()
     const filename = `${prefix}-${uuidv4()}${suffix}`
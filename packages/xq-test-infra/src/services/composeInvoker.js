@@ -1,11 +1,23 @@
 const { spawn } = require('cross-spawn')
 const which = require('which')
 const fs = require('fs-extra')
+const path = require('path')
 const YAML = require('yaml')
+const configHash = require('./configHash')
 
 class ComposeInvoker {
-  constructor() {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger=console] - Receives progress output (log, warn)
+   * @param {string} [options.stdio='inherit'] - stdio of compose commands that stream output (pull, down, logs)
+   * @param {boolean} [options.forwardSignals=true] - Pass SIGINT/SIGTERM on to running commands
+   */
+  constructor(options = {}) {
+    const { logger = console, stdio = 'inherit', forwardSignals = true } = options
     this.dockerComposeCli = null
+    this.logger = logger
+    this.stdio = stdio
+    this.forwardSignals = forwardSignals
   }
 
   async detectDockerCompose() {
@@ -35,16 +47,41 @@ class ComposeInvoker {
     }
   }
 
+  /**
+   * Build the common "compose -f <file> [-p <project>]" argument prefix
+   * @param {Object} cli - Detected compose CLI
+   * @param {string} composeFile - Path to compose file
+   * @param {string} [projectName] - Compose project name isolating this environment
+   * @returns {string[]} Arguments
+   */
+  composeArgs(cli, composeFile, projectName) {
+    const args = [...cli.args, '-f', composeFile]
+    if (projectName) args.push('-p', projectName)
+    return args
+  }
+
+  /**
+   * Start services
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.detached=true] - Run in the background
+   * @param {boolean} [options.pull=true] - Pull missing images
+   * @param {string} [options.projectName] - Compose project name
+   * @param {string[]} [options.services] - Only recreate these services, without their dependencies (see planReuse)
+   * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} Command result
+   */
   async up(composeFile, options = {}) {
-    const { detached = true, pull = true } = options
+    const { detached = true, pull = true, projectName, services = [] } = options
 
     await this.validateComposeFile(composeFile)
     const cli = await this.detectDockerCompose()
 
-    const args = [...cli.args, '-f', composeFile, 'up']
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'up']
     if (detached) args.push('-d')
     if (pull) args.push('--pull', 'missing')
     args.push('--remove-orphans') // Always remove orphaned containers
+    // Dependents of a changed service have an unchanged config, compose would leave them alone without --force-recreate
+    if (services.length > 0) args.push('--no-deps', '--force-recreate', ...services)
 
     return this.execCommand(cli.command, args, {
       stdio: detached ? 'pipe' : 'inherit',
@@ -53,56 +90,107 @@ class ComposeInvoker {
   }
 
   async down(composeFile, options = {}) {
-    const { removeVolumes = false, removeImages = false } = options
+    const { removeVolumes = false, removeImages = false, projectName } = options
 
     await this.validateComposeFile(composeFile)
     const cli = await this.detectDockerCompose()
 
-    const args = [...cli.args, '-f', composeFile, 'down']
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'down']
     if (removeVolumes) args.push('-v')
     if (removeImages) args.push('--rmi', 'all')
 
     return this.execCommand(cli.command, args, {
-      stdio: 'inherit',
+      stdio: this.stdio,
       cwd: process.cwd()
     })
   }
 
-  async pull(composeFile) {
+  async pull(composeFile, options = {}) {
+    const { projectName, services = [] } = options
+
     await this.validateComposeFile(composeFile)
     const cli = await this.detectDockerCompose()
 
-    const args = [...cli.args, '-f', composeFile, 'pull']
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'pull', ...services]
 
     return this.execCommand(cli.command, args, {
-      stdio: 'inherit',
+      stdio: this.stdio,
       cwd: process.cwd()
     })
   }
 
+  /**
+   * Show (or capture) compose logs
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {boolean} [options.follow=false] - Follow log output
+   * @param {string|null} [options.tail='100'] - Number of lines from the end, null for all lines
+   * @param {boolean} [options.timestamps=false] - Show timestamps
+   * @param {string} [options.service] - Only this service
+   * @param {string} [options.projectName] - Compose project name
+   * @param {string} [options.stdio] - 'pipe' captures the logs in the result's stdout (default: the invoker's stdio)
+   * @param {boolean} [options.noColor=false] - Plain output, e.g. for files
+   * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} Command result
+   */
   async logs(composeFile, options = {}) {
-    const { follow = false, tail = '100', timestamps = false, service = null } = options
+    const { follow = false, tail = '100', timestamps = false, service = null, projectName, stdio = this.stdio, noColor = false } = options
 
     await this.validateComposeFile(composeFile)
     const cli = await this.detectDockerCompose()
 
-    const args = [...cli.args, '-f', composeFile, 'logs']
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'logs']
     if (follow) args.push('-f')
     if (tail) args.push('--tail', tail.toString())
     if (timestamps) args.push('--timestamps')
+    if (noColor) args.push('--no-color')
     if (service) args.push(service)
 
     return this.execCommand(cli.command, args, {
-      stdio: 'inherit',
+      stdio,
       cwd: process.cwd()
     })
   }
 
-  async ps(composeFile) {
+  /**
+   * Write the logs of each service to <outputDir>/<service>.log
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {string} options.outputDir - Directory for the log files
+   * @param {string[]} [options.services] - Only these services (default: every service in the compose file)
+   * @param {string|null} [options.tail=null] - Number of lines from the end, null for the full logs
+   * @param {boolean} [options.timestamps=false] - Include timestamps
+   * @param {string} [options.projectName] - Compose project name
+   * @returns {Promise<Array<{service: string, file: string, success: boolean, error?: string}>>} Result per service
+   */
+  async dumpLogs(composeFile, options = {}) {
+    const { outputDir, tail = null, timestamps = false, projectName } = options
+
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    const services = options.services || Object.keys(compose.services || {})
+
+    await fs.ensureDir(outputDir)
+    const results = []
+    for (const service of services) {
+      const file = path.join(outputDir, `${service}.log`)
+      try {
+        const result = await this.logs(composeFile, { service, tail, timestamps, projectName, stdio: 'pipe', noColor: true })
+        await fs.writeFile(file, result.stdout ? `${result.stdout}\n` : '', 'utf8')
+        results.push({ service, file, success: true })
+      } catch (error) {
+        results.push({ service, file, success: false, error: error.message })
+      }
+    }
+    return results
+  }
+
+  async ps(composeFile, options = {}) {
+    const { projectName } = options
+
     await this.validateComposeFile(composeFile)
     const cli = await this.detectDockerCompose()
 
-    const args = [...cli.args, '-f', composeFile, 'ps']
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'ps']
 
     return this.execCommand(cli.command, args, {
       stdio: 'inherit',
@@ -111,11 +199,424 @@ class ComposeInvoker {
   }
 
   /**
-   * Detect test containers from source service files
-   * Test containers are identified by filenames containing: .test.
-   * (e.g., keeper.test.yaml, my-service.test.yml)
+   * Get container status per service from "compose ps --format json"
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {string} [options.projectName] - Compose project name
+   * @returns {Promise<Object>} Map of service name to {service, name, id, state, status, health, exitCode, restartCount}
+   */
+  async getServiceStatuses(composeFile, options = {}) {
+    const { projectName } = options
+    const cli = await this.detectDockerCompose()
+    const args = [...this.composeArgs(cli, composeFile, projectName), 'ps', '-a', '--format', 'json']
+
+    const result = await this.execCommand(cli.command, args, {
+      stdio: 'pipe',
+      cwd: process.cwd()
+    })
+
+    const statuses = {}
+    for (const container of this.parsePsJson(result.stdout)) {
+      statuses[container.Service] = {
+        service: container.Service,
+        name: container.Name,
+        id: container.ID || null,
+        state: (container.State || '').toLowerCase(),
+        status: container.Status || '',
+        health: (container.Health || '').toLowerCase(),
+        exitCode: typeof container.ExitCode === 'number' ? container.ExitCode : null,
+        restartCount: null
+      }
+    }
+
+    const restartCounts = await this.getRestartCounts(Object.values(statuses).map(status => status.id).filter(Boolean))
+    for (const status of Object.values(statuses)) {
+      if (status.id && status.id in restartCounts) {
+        status.restartCount = restartCounts[status.id]
+      }
+    }
+    return statuses
+  }
+
+  /**
+   * Get restart counts from "docker inspect", which "compose ps" does not report
+   * @param {string[]} ids - Container ids
+   * @returns {Promise<Object>} Map of container id to restart count, empty when inspect fails
+   */
+  async getRestartCounts(ids) {
+    if (ids.length === 0) {
+      return {}
+    }
+
+    try {
+      const result = await this.execCommand('docker', ['inspect', '--format', '{{.RestartCount}}', ...ids], {
+        stdio: 'pipe',
+        cwd: process.cwd()
+      })
+      // One line per container, in argument order
+      const lines = result.stdout.trim().split('\n')
+      const counts = {}
+      ids.forEach((id, index) => {
+        const count = parseInt(lines[index], 10)
+        if (!Number.isNaN(count)) counts[id] = count
+      })
+      return counts
+    } catch (error) {
+      // A container removed between ps and inspect fails the whole call; restart counts are informational
+      return {}
+    }
+  }
+
+  /**
+   * Get the xq.config-hash label of containers from "docker inspect"
+   * @param {string[]} ids - Container ids
+   * @returns {Promise<Object>} Map of container id to config hash; containers without the label are left out, empty when inspect fails
+   */
+  async getConfigHashes(ids) {
+    if (ids.length === 0) {
+      return {}
+    }
+
+    try {
+      const result = await this.execCommand('docker', ['inspect', '--format', `{{index .Config.Labels "${configHash.LABEL}"}}`, ...ids], {
+        stdio: 'pipe',
+        cwd: process.cwd()
+      })
+      // One line per container, in argument order; a missing label prints "<no value>"
+      const lines = result.stdout.split('\n')
+      const hashes = {}
+      ids.forEach((id, index) => {
+        const hash = (lines[index] || '').trim()
+        if (/^[0-9a-f]+$/.test(hash)) hashes[id] = hash
+      })
+      return hashes
+    } catch (error) {
+      // Without hashes every service counts as changed, which is what a plain up does anyway
+      return {}
+    }
+  }
+
+  /**
+   * Decide which services `up --reuse` has to start
+   * A service is reused when its container carries the config hash written by generate --reuse and is still
+   * running (jobs: exited 0). Everything else is (re)created; test containers always run again.
+   * Services that depend on a (re)created one, directly or transitively, are (re)created too: a job runs again
+   * against the new dependency and the gateway, whose nginx resolves upstreams only at start, restarts with any upstream.
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} [options] - Options
+   * @param {string} [options.projectName] - Compose project name
+   * @returns {Promise<{start: string[], reuse: string[]}>} Services to start and services left as they are
+   */
+  async planReuse(composeFile, options = {}) {
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    const statuses = await this.getServiceStatuses(composeFile, options)
+    const hashes = await this.getConfigHashes(Object.values(statuses).map(status => status.id).filter(Boolean))
+
+    const plan = { start: [], reuse: [] }
+    for (const [name, service] of Object.entries(compose.services || {})) {
+      const role = service['x-xq-role'] || 'service'
+      const status = statuses[name]
+      const wanted = configHash.readHashLabel(service)
+      const unchanged = !!status && !!wanted && hashes[status.id] === wanted
+      const current = role === 'job'
+        ? this.isExited(status) && status.exitCode === 0
+        : !!status && status.state === 'running'
+
+      if (role !== 'test' && unchanged && current) {
+        plan.reuse.push(name)
+      } else {
+        plan.start.push(name)
+      }
+    }
+
+    const services = compose.services || {}
+    const dependencies = name => {
+      const dependsOn = services[name].depends_on || []
+      return Array.isArray(dependsOn) ? dependsOn : Object.keys(dependsOn)
+    }
+    const isUpstream = name => name !== 'xq-gateway' && !services[name]['x-xq-role']
+    const started = new Set(plan.start)
+    let changed = true
+    while (changed) {
+      changed = false
+      for (const name of plan.reuse) {
+        const restart = dependencies(name).some(dependency => started.has(dependency)) ||
+          (name === 'xq-gateway' && [...started].some(isUpstream))
+        if (restart && !started.has(name)) {
+          started.add(name)
+          changed = true
+        }
+      }
+    }
+
+    // Compose file order, like the plan above
+    return {
+      start: Object.keys(services).filter(name => started.has(name)),
+      reuse: plan.reuse.filter(name => !started.has(name))
+    }
+  }
+
+  /**
+   * Describe a container status on one line, e.g. "tests: exited (exit code 1), restarts: 2"
+   * @param {string} service - Service name
+   * @param {Object} [status] - Status from getServiceStatuses
+   * @returns {string} Description
+   */
+  formatStatus(service, status) {
+    if (!status) {
+      return `${service}: not created`
+    }
+
+    const parts = [status.state || 'unknown']
+    if (this.isExited(status)) parts[0] += ` (exit code ${status.exitCode === null ? 'unknown' : status.exitCode})`
+    if (status.health) parts.push(`health: ${status.health}`)
+    if (status.restartCount) parts.push(`restarts: ${status.restartCount}`)
+    return `${service}: ${parts.join(', ')}`
+  }
+
+  /**
+   * Whether a container has stopped
+   * @param {Object} [status] - Status from getServiceStatuses
+   * @returns {boolean} True for exited or dead containers
+   */
+  isExited(status) {
+    return !!status && (status.state === 'exited' || status.state === 'dead')
+  }
+
+  /**
+   * Status of every service in a compose file, including services without a container
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {string} [options.projectName] - Compose project name
+   * @returns {Promise<Array<Object>>} One entry per service: {service, role, state, health, exitCode, restartCount, ready, failed, reason}
+   */
+  async getEnvironmentStatus(composeFile, options = {}) {
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    const statuses = await this.getServiceStatuses(composeFile, options)
+
+    return Object.entries(compose.services || {}).map(([name, service]) => {
+      const role = service['x-xq-role'] || 'service'
+      const status = statuses[name]
+      const readiness = this.evaluateReadiness(status, { job: role !== 'service' })
+      return {
+        service: name,
+        role,
+        state: status ? status.state : 'not created',
+        health: status ? status.health : '',
+        exitCode: status && this.isExited(status) ? status.exitCode : null,
+        restartCount: status ? status.restartCount : null,
+        ...readiness
+      }
+    })
+  }
+
+  /**
+   * Parse "compose ps --format json" output
+   * Older compose versions print one JSON array, newer ones one JSON object per line
+   * @param {string} output - Command stdout
+   * @returns {Object[]} Container entries
+   */
+  parsePsJson(output) {
+    const trimmed = (output || '').trim()
+    if (!trimmed) return []
+    if (trimmed.startsWith('[')) return JSON.parse(trimmed)
+    return trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+  }
+
+  /**
+   * Decide whether a service is ready from its container status
+   * Services with a healthcheck must be healthy, others running; containers that exited 0 are complete
+   * Jobs are only ready once they exited 0
+   * @param {Object} [status] - Status from getServiceStatuses
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.job=false] - Evaluate as a one-shot job
+   * @returns {{ready: boolean, failed: boolean, reason: string}} Readiness
+   */
+  evaluateReadiness(status, options = {}) {
+    if (!status) {
+      return { ready: false, failed: false, reason: 'container not created' }
+    }
+
+    if (this.isExited(status)) {
+      return status.exitCode === 0
+        ? { ready: true, failed: false, reason: 'completed' }
+        : { ready: false, failed: true, reason: `exited with code ${status.exitCode === null ? 'unknown' : status.exitCode}` }
+    }
+
+    if (options.job) {
+      return { ready: false, failed: false, reason: `state: ${status.state}` }
+    }
+
+    if (status.health) {
+      return { ready: status.health === 'healthy', failed: false, reason: `health: ${status.health}` }
+    }
+
+    return { ready: status.state === 'running', failed: false, reason: `state: ${status.state}` }
+  }
+
+  /**
+   * Wait until every service in the compose file is healthy (or running when it has no healthcheck)
+   * Jobs must have exited 0. A service's x-xq-wait-timeout (from health.wait_timeout) overrides the default timeout
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {number} [options.timeout=120000] - Default per-service timeout in milliseconds
+   * @param {number} [options.checkInterval=2000] - Poll interval in milliseconds
+   * @param {string} [options.projectName] - Compose project name
+   * @param {string[]} [options.services] - Only wait for these services
+   * @returns {Promise<{ready: boolean, failures: Array<{service: string, reason: string}>}>} Result
+   */
+  async waitForHealthy(composeFile, options = {}) {
+    const { timeout = 120000, checkInterval = 2000, projectName } = options
+
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    // Test runners are waited for separately (see waitForTestContainers)
+    const services = Object.fromEntries(Object.entries(compose.services || {})
+      .filter(([name, service]) => options.services
+        ? options.services.includes(name)
+        : service['x-xq-role'] !== 'test'))
+
+    const deadlines = {}
+    for (const [name, service] of Object.entries(services)) {
+      deadlines[name] = service['x-xq-wait-timeout'] ? this.parseDuration(service['x-xq-wait-timeout']) : timeout
+    }
+
+    const pending = new Set(Object.keys(services))
+    const failures = []
+    const startTime = Date.now()
+
+    this.logger.log(`⏳ Waiting for services to become ready: ${[...pending].join(', ')}`)
+
+    while (pending.size > 0) {
+      let statuses = {}
+      try {
+        statuses = await this.getServiceStatuses(composeFile, { projectName })
+      } catch (error) {
+        // Containers might not be listed yet, keep polling until the deadlines pass
+      }
+
+      const elapsed = Date.now() - startTime
+      for (const name of [...pending]) {
+        const runsOnce = ['job', 'test'].includes(services[name]['x-xq-role'])
+        const readiness = this.evaluateReadiness(statuses[name], { job: runsOnce })
+        if (readiness.ready) {
+          pending.delete(name)
+        } else if (readiness.failed) {
+          failures.push({ service: name, reason: readiness.reason })
+          pending.delete(name)
+        } else if (elapsed >= deadlines[name]) {
+          failures.push({ service: name, reason: `not ready after ${deadlines[name] / 1000}s (${readiness.reason})` })
+          pending.delete(name)
+        }
+      }
+
+      if (pending.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, checkInterval))
+      }
+    }
+
+    return { ready: failures.length === 0, failures }
+  }
+
+  /**
+   * List the services of a generated compose file with a role (x-xq-role, from `role:` in the spec)
+   * @param {string} composeFile - Path to compose file
+   * @param {string} role - service, job or test
+   * @returns {Promise<string[]>} Service names
    */
-  async detectTestContainers(composeFile, sourcePath = null) {
+  async getServicesByRole(composeFile, role) {
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    return Object.entries(compose.services || {})
+      .filter(([, service]) => (service['x-xq-role'] || 'service') === role)
+      .map(([name]) => name)
+  }
+
+  /**
+   * Wait for the one-shot jobs (role: job) of a compose file to exit 0
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options for waitForHealthy (timeout, checkInterval, projectName)
+   * @param {boolean} [options.wait=true] - false only inspects the current state, e.g. after a failed up
+   * @returns {Promise<{jobs: string[], ready: boolean, failures: Array<{service: string, reason: string}>}>} Result
+   */
+  async waitForJobs(composeFile, options = {}) {
+    const { wait = true, ...waitOptions } = options
+    const jobs = await this.getServicesByRole(composeFile, 'job')
+
+    if (jobs.length === 0) {
+      return { jobs, ready: true, failures: [] }
+    }
+
+    if (wait) {
+      return { jobs, ...await this.waitForHealthy(composeFile, { ...waitOptions, services: jobs }) }
+    }
+
+    let statuses = {}
+    try {
+      statuses = await this.getServiceStatuses(composeFile, { projectName: options.projectName })
+    } catch (error) {
+      // Nothing to report when the containers cannot be listed
+    }
+
+    const failures = jobs
+      .map(service => ({ service, ...this.evaluateReadiness(statuses[service], { job: true }) }))
+      .filter(readiness => readiness.failed)
+      .map(({ service, reason }) => ({ service, reason }))
+    return { jobs, ready: failures.length === 0, failures }
+  }
+
+  /**
+   * Convert a compose duration ("1m30s", "500ms", "90s") or a number of seconds to milliseconds
+   * @param {string|number} value - Duration
+   * @returns {number} Milliseconds
+   */
+  parseDuration(value) {
+    if (typeof value === 'number') return value * 1000
+
+    const units = { ns: 1e-6, us: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000 }
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ns|us|ms|s|m|h)/g)
+    if (!parts || parts.join('') !== String(value)) {
+      throw new Error(`Invalid duration: ${value}`)
+    }
+
+    return parts.reduce((total, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ns|us|ms|s|m|h)/)
+      return total + parseFloat(amount) * units[unit]
+    }, 0)
+  }
+
+  /**
+   * Find the test runners of a compose file
+   * Services with role: test are authoritative. Guessing from file and service names is an opt-in
+   * fallback for specs without roles and always prints a warning.
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {boolean} [options.heuristics=false] - Guess when no service has role: test
+   * @param {string} [options.sourcePath] - Service directory for the .test. filename heuristic
+   * @returns {Promise<string[]>} Test service names
+   */
+  async detectTestContainers(composeFile, options = {}) {
+    const testContainers = await this.getServicesByRole(composeFile, 'test')
+    if (testContainers.length > 0 || !options.heuristics) {
+      return testContainers
+    }
+
+    const guessed = await this.guessTestContainers(composeFile, options.sourcePath)
+    this.logger.warn(`Warning: no service has role: test; guessed test containers from file and service names: ${guessed.join(', ') || 'none'}`)
+    this.logger.warn('         Set role: test in the test service files instead of relying on names.')
+    return guessed
+  }
+
+  /**
+   * Guess test containers from ".test." service file names or service names (keeper, e2e, test-)
+   * Legacy heuristic behind detectTestContainers({ heuristics: true })
+   * @param {string} composeFile - Path to compose file
+   * @param {string} [sourcePath] - Service directory to scan for .test. files
+   * @returns {Promise<string[]>} Guessed service names
+   */
+  async guessTestContainers(composeFile, sourcePath = null) {
     try {
       // If sourcePath is provided, scan for .test. files
       if (sourcePath) {
@@ -223,119 +724,159 @@ class ComposeInvoker {
   }
 
   /**
-   * Wait for test containers to exit
-   * Returns true if all test containers exited successfully, false otherwise
+   * Find services that crashed since monitoring started
+   * A service crashed when its container exited non-zero, is restarting, or restarted more often than at baseline
+   * @param {Object} statuses - Statuses from getServiceStatuses
+   * @param {string[]} services - Services to check
+   * @param {Object} baseline - Map of service name to restart count when monitoring started
+   * @returns {Array<{service: string, reason: string}>} Crashed services
+   */
+  detectCrashes(statuses, services, baseline = {}) {
+    const crashes = []
+    for (const name of services) {
+      const status = statuses[name]
+      if (!status) continue
+
+      const restarts = (status.restartCount || 0) - (baseline[name] || 0)
+      if (this.isExited(status) && status.exitCode !== 0) {
+        crashes.push({ service: name, reason: this.evaluateReadiness(status).reason })
+      } else if (status.state === 'restarting') {
+        crashes.push({ service: name, reason: `restarting (restarts: ${status.restartCount || 0})` })
+      } else if (restarts > 0) {
+        crashes.push({ service: name, reason: `restarted ${restarts} time(s)` })
+      }
+    }
+    return crashes
+  }
+
+  /**
+   * Wait for test containers (role: test) to exit
+   * Statuses come from getServiceStatuses, so every container is matched by its exact service name.
+   * Long-running services are watched at the same time; when one crashes the wait stops right away
+   * @param {string} composeFile - Path to compose file
+   * @param {string[]} testContainers - Service names of the test containers
+   * @param {Object} options - Options
+   * @param {number} [options.timeout=600000] - Timeout in milliseconds
+   * @param {number} [options.checkInterval=2000] - Poll interval in milliseconds
+   * @param {string} [options.projectName] - Compose project name
+   * @param {string[]} [options.monitor] - Services to watch for crashes (default: services with role: service)
+   * @returns {Promise<{passed: boolean, failures: Array<{service: string, reason: string}>, crashes: Array<{service: string, reason: string}>}>} Result
    */
   async waitForTestContainers(composeFile, testContainers, options = {}) {
     if (testContainers.length === 0) {
-      return true
+      return { passed: true, failures: [], crashes: [] }
     }
 
-    const { timeout = 600000, checkInterval = 2000 } = options // 10 minute default, check every 2 seconds
-    const cli = await this.detectDockerCompose()
+    const { timeout = 600000, checkInterval = 2000, projectName } = options
+    // Test containers guessed with --detect-tests have no role, they must not count as crashed services
+    const monitor = (options.monitor || await this.getServicesByRole(composeFile, 'service'))
+      .filter(name => !testContainers.includes(name))
     const startTime = Date.now()
+    let statuses = {}
+    let baseline = null
 
-    console.log(`⏳ Waiting for test containers to complete: ${testContainers.join(', ')}`)
+    this.logger.log(`⏳ Waiting for test containers to complete: ${testContainers.join(', ')}`)
 
     while (Date.now() - startTime < timeout) {
       try {
-        // Get container status using docker compose ps
-        const args = [...cli.args, '-f', composeFile, 'ps', '-a']
-        let result
-        try {
-          result = await this.execCommand(cli.command, args, {
-            stdio: 'pipe',
-            cwd: process.cwd()
-          })
-        } catch (error) {
-          // If ps command fails, containers might not be up yet, continue waiting
-          await new Promise(resolve => setTimeout(resolve, checkInterval))
-          continue
-        }
+        statuses = await this.getServiceStatuses(composeFile, { projectName })
+      } catch (error) {
+        // Containers might not be listed yet, keep polling until the timeout
+      }
 
-        // Parse the output - docker compose ps outputs table format
-        const lines = result.stdout.split('\n').filter(line => line.trim())
-        const testContainerStatuses = []
+      // Restarts before the tests started are not counted
+      if (!baseline && Object.keys(statuses).length > 0) {
+        baseline = Object.fromEntries(monitor.map(name => [name, statuses[name] ? statuses[name].restartCount || 0 : 0]))
+      }
 
-        for (const line of lines) {
-          // Skip header lines
-          if (line.includes('NAME') || line.includes('SERVICE') || line.startsWith('---')) {
-            continue
-          }
+      const crashes = this.detectCrashes(statuses, monitor, baseline || {})
+      if (crashes.length > 0) {
+        this.logger.log('💥 Services crashed while tests were running:')
+        crashes.forEach(crash => this.logger.log(`   - ${crash.service}: ${crash.reason}`))
+        return { passed: false, failures: [], crashes }
+      }
 
-          // Parse service name and status from the line
-          // Format: <project>_<service>_<number>  <status>
-          // Status column can contain multiple words like "Exited (0) 2 hours ago"
-          for (const serviceName of testContainers) {
-            if (line.includes(serviceName)) {
-              const parts = line.split(/\s+/)
-              // Find the service name position, status is everything after it
-              const serviceIndex = parts.findIndex(part => part.includes(serviceName))
-              let status = ''
-              if (serviceIndex >= 0 && serviceIndex < parts.length - 1) {
-                // Status is everything after the service name
-                status = parts.slice(serviceIndex + 1).join(' ')
-              } else {
-                // Fallback: use last part
-                status = parts[parts.length - 1] || ''
-              }
-              const isExited = status.includes('Exited') || status.includes('exited')
-              
-              if (isExited) {
-                // Extract exit code if available (format: "Exited (0)")
-                const exitCodeMatch = status.match(/Exited\s*\((\d+)\)/)
-                const exitCode = exitCodeMatch ? parseInt(exitCodeMatch[1], 10) : 0
-                
-                testContainerStatuses.push({
-                  service: serviceName,
-                  status,
-                  exitCode,
-                  exited: true
-                })
-              } else {
-                testContainerStatuses.push({
-                  service: serviceName,
-                  status,
-                  exited: false
-                })
-              }
-            }
+      if (testContainers.every(name => this.isExited(statuses[name]))) {
+        // An unknown exit code counts as a failure
+        const failed = testContainers.filter(name => statuses[name].exitCode !== 0)
+        if (failed.length > 0) {
+          this.logger.log('❌ Some test containers failed:')
+          failed.forEach(name => this.logger.log(`   - ${this.formatStatus(name, statuses[name])}`))
+          return {
+            passed: false,
+            failures: failed.map(name => ({ service: name, reason: this.evaluateReadiness(statuses[name]).reason })),
+            crashes: []
           }
         }
 
-        // Check if we found all test containers and they've all exited
-        const foundContainers = testContainerStatuses.map(c => c.service)
-        const allFound = testContainers.every(name => foundContainers.includes(name))
-        const allExited = testContainerStatuses.length > 0 && 
-                         testContainerStatuses.every(c => c.exited) &&
-                         testContainerStatuses.length === testContainers.length
-
-        if (allFound && allExited) {
-          // Check exit codes
-          const failedContainers = testContainerStatuses.filter(c => c.exitCode !== 0)
-
-          if (failedContainers.length > 0) {
-            console.log('❌ Some test containers failed:')
-            failedContainers.forEach(container => {
-              console.log(`   - ${container.service}: exit code ${container.exitCode}`)
-            })
-            return false
-          }
+        this.logger.log('✅ All test containers completed successfully')
+        return { passed: true, failures: [], crashes: [] }
+      }
 
-          console.log('✅ All test containers completed successfully')
-          return true
+      await new Promise(resolve => setTimeout(resolve, checkInterval))
+    }
+
+    this.logger.log(`⏱️  Timeout waiting for test containers after ${timeout / 1000} seconds`)
+    const pending = testContainers.filter(name => !this.isExited(statuses[name]))
+    pending.forEach(name => this.logger.log(`   - ${this.formatStatus(name, statuses[name])}`))
+    return {
+      passed: false,
+      failures: pending.map(name => ({ service: name, reason: `not finished after ${timeout / 1000}s` })),
+      crashes: []
+    }
+  }
+
+  /**
+   * Copy the artifacts (x-xq-artifacts, from `artifacts:` in the spec) out of the test containers
+   * Uses "docker cp", which also works on exited containers. Each service directory is emptied first
+   * so reports from an earlier run never mix with the current one
+   * @param {string} composeFile - Path to compose file
+   * @param {Object} options - Options
+   * @param {string} options.outputDir - Local directory, artifacts go to <outputDir>/<service>/
+   * @param {string} [options.projectName] - Compose project name
+   * @returns {Promise<Array<{service: string, path: string, destination: string, success: boolean, error?: string}>>} Result per path
+   */
+  async collectArtifacts(composeFile, options = {}) {
+    const { outputDir, projectName } = options
+
+    await this.validateComposeFile(composeFile)
+    const compose = YAML.parse(await fs.readFile(composeFile, 'utf8')) || {}
+    const services = Object.entries(compose.services || {})
+      .filter(([, service]) => Array.isArray(service['x-xq-artifacts']) && service['x-xq-artifacts'].length > 0)
+
+    if (services.length === 0) {
+      return []
+    }
+
+    const statuses = await this.getServiceStatuses(composeFile, { projectName })
+    const results = []
+
+    for (const [name, service] of services) {
+      const serviceDir = path.join(outputDir, name)
+      await fs.emptyDir(serviceDir)
+
+      for (const artifact of service['x-xq-artifacts']) {
+        const destination = path.join(serviceDir, path.posix.basename(artifact.replace(/\/+$/, '')))
+        if (!statuses[name]) {
+          results.push({ service: name, path: artifact, destination, success: false, error: 'container not created' })
+          continue
         }
 
-        // Some containers still running, wait and check again
-        await new Promise(resolve => setTimeout(resolve, checkInterval))
-      } catch (error) {
-        // If command fails, continue waiting (containers might not be up yet)
-        await new Promise(resolve => setTimeout(resolve, checkInterval))
+        try {
+          await this.execCommand('docker', ['cp', `${statuses[name].name}:${artifact}`, destination], {
+            stdio: 'pipe',
+            cwd: process.cwd()
+          })
+          results.push({ service: name, path: artifact, destination, success: true })
+        } catch (error) {
+          // docker's own message, e.g. "Could not find the file /reports in container ..."
+          const reason = (error.result && error.result.stderr) || error.message
+          results.push({ service: name, path: artifact, destination, success: false, error: reason })
+        }
       }
     }
 
-    console.log(`⏱️  Timeout waiting for test containers after ${timeout / 1000} seconds`)
-    return false
+    return results
   }
 
   async validateComposeFile(composeFile) {
@@ -353,6 +894,12 @@ class ComposeInvoker {
       const child = spawn(command, args, spawnOptions)
       let timeoutId
 
+      const forwardSignal = (signal) => child.kill(signal)
+      const removeSignalListeners = () => {
+        process.removeListener('SIGINT', forwardSignal)
+        process.removeListener('SIGTERM', forwardSignal)
+      }
+
       if (timeout) {
         timeoutId = setTimeout(() => {
           child.kill('SIGTERM')
@@ -377,11 +924,13 @@ class ComposeInvoker {
 
       child.on('error', (error) => {
         if (timeoutId) clearTimeout(timeoutId)
+        removeSignalListeners()
         reject(error)
       })
 
       child.on('exit', (exitCode, signal) => {
         if (timeoutId) clearTimeout(timeoutId)
+        removeSignalListeners()
 
         const result = {
           exitCode,
@@ -401,16 +950,14 @@ class ComposeInvoker {
         }
       })
 
-      // Handle process signals
-      process.on('SIGINT', () => {
-        child.kill('SIGINT')
-      })
-
-      process.on('SIGTERM', () => {
-        child.kill('SIGTERM')
-      })
+      // Pass Ctrl+C on to the command; the listeners go away with the command so they never pile up
+      if (this.forwardSignals) {
+        process.on('SIGINT', forwardSignal)
+        process.on('SIGTERM', forwardSignal)
+      }
     })
   }
 }
 
-module.exports = new ComposeInvoker()
\ No newline at end of file
+module.exports = new ComposeInvoker()
+module.exports.ComposeInvoker = ComposeInvoker
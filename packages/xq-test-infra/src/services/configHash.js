@@ -0,0 +1,78 @@
+/**
+ * Config hashes for reusable environments
+ *
+ * `generate --reuse` labels every compose service with a hash of its resolved config.
+ * `up --reuse` compares it with the label of the running container and only starts
+ * services whose config changed.
+ */
+
+const crypto = require('crypto')
+
+const LABEL = 'xq.config-hash'
+
+/**
+ * JSON with object keys sorted, so equal configs always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Hash a compose service definition
+ * @param {Object} service - Compose service, without the hash label
+ * @param {string} [extra=''] - Content the container depends on that is not part of the definition (e.g. a mounted config file)
+ * @returns {string} Hex hash
+ */
+function hashService(service, extra = '') {
+  return crypto.createHash('sha256')
+    .update(canonicalJson(service))
+    .update(extra)
+    .digest('hex')
+    .slice(0, 16)
+}
+
+/**
+ * Read the config hash label of a compose service
+ * @param {Object} service - Compose service
+ * @returns {string|null} Hash, or null when the service has none
+ */
+function readHashLabel(service) {
+  const labels = service.labels
+  if (Array.isArray(labels)) {
+    const entry = labels.find(label => String(label).startsWith(`${LABEL}=`))
+    return entry ? entry.slice(LABEL.length + 1) : null
+  }
+  return labels && labels[LABEL] ? String(labels[LABEL]) : null
+}
+
+/**
+ * Add the config hash label to a compose service, keeping the labels' map or list form
+ * @param {Object} service - Compose service
+ * @param {string} hash - Config hash
+ * @returns {Object} New service with the label
+ */
+function withHashLabel(service, hash) {
+  const labels = Array.isArray(service.labels)
+    ? [...service.labels, `${LABEL}=${hash}`]
+    : { ...service.labels, [LABEL]: hash }
+  return { ...service, labels }
+}
+
+module.exports = {
+  LABEL,
+  canonicalJson,
+  hashService,
+  readHashLabel,
+  withHashLabel
+}
@@ -0,0 +1,78 @@
+/**
+ * Deep merge used for overrides
+ *
+ * - Objects are merged key by key
+ * - Lists and scalars replace the existing value
+ * - null deletes the key (or the whole service under `services`)
+ * - { $append: [...] } appends to the existing list
+ * - { $replace: value } replaces the existing value without merging
+ */
+
+const DIRECTIVES = ['$append', '$replace']
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Return the merge directive of a patch value, if any
+ * @param {*} value - Patch value
+ * @returns {string|null} '$append', '$replace' or null
+ */
+function getDirective(value) {
+  if (!isPlainObject(value)) return null
+  const keys = Object.keys(value)
+  return keys.length === 1 && DIRECTIVES.includes(keys[0]) ? keys[0] : null
+}
+
+/**
+ * Deep merge a patch into a base value without mutating either
+ * @param {*} base - Existing value
+ * @param {*} patch - Patch to apply
+ * @param {string[]} keyPath - Path of the current value, used in error messages
+ * @returns {*} Merged value
+ */
+function deepMerge(base, patch, keyPath = []) {
+  const directive = getDirective(patch)
+  const location = keyPath.length > 0 ? keyPath.join('.') : '(root)'
+
+  if (directive === '$replace') {
+    return clone(patch.$replace)
+  }
+
+  if (directive === '$append') {
+    if (!Array.isArray(patch.$append)) {
+      throw new Error(`$append at ${location} requires a list`)
+    }
+    if (base === undefined || base === null) {
+      return clone(patch.$append)
+    }
+    if (!Array.isArray(base)) {
+      throw new Error(`$append at ${location} requires the existing value to be a list`)
+    }
+    return [...clone(base), ...clone(patch.$append)]
+  }
+
+  if (isPlainObject(patch)) {
+    const result = isPlainObject(base) ? clone(base) : {}
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete result[key]
+      } else {
+        result[key] = deepMerge(result[key], value, [...keyPath, key])
+      }
+    }
+    return result
+  }
+
+  return clone(patch)
+}
+
+module.exports = {
+  deepMerge,
+  getDirective
+}
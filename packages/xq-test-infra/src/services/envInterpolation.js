@@ -0,0 +1,200 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+const EXPRESSION_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?])([\s\S]*))?$/
+const INTEGER_PATTERN = /^(0|[1-9]\d*)$/
+
+/**
+ * Escape "$" in a substituted value as "$$", so docker compose does not interpolate it a second time
+ * @param {*} value - Variable value
+ * @returns {string} Escaped value
+ */
+function escapeValue(value) {
+  return String(value).replace(/\$/g, '$$$$')
+}
+
+/**
+ * Resolve a single ${...} expression against the environment
+ * @param {string} expression - Expression between the braces (e.g. "TAG:-latest")
+ * @param {Object} env - Variables available for interpolation
+ * @returns {string} Resolved value, with "$" in variable values escaped for compose
+ */
+function resolveExpression(expression, env) {
+  const match = expression.match(EXPRESSION_PATTERN)
+  if (!match) {
+    throw new Error(`Invalid interpolation format: \${${expression}}`)
+  }
+
+  const [, name, operator, operand = ''] = match
+  const value = env[name]
+  const isUnset = value === undefined
+  // The ":" variants treat an empty value the same as an unset one
+  const isMissing = operator && operator.startsWith(':') ? isUnset || value === '' : isUnset
+
+  if (operator === '-' || operator === ':-') {
+    return isMissing ? String(interpolateString(operand, env)) : escapeValue(value)
+  }
+
+  if (operator === '?' || operator === ':?') {
+    if (isMissing) {
+      const reason = operand ? `: ${interpolateString(operand, env)}` : ''
+      throw new Error(`Required variable '${name}' is not set${reason}`)
+    }
+    return escapeValue(value)
+  }
+
+  return isUnset ? '' : escapeValue(value)
+}
+
+/**
+ * Interpolate ${VAR}, ${VAR:-default} and ${VAR:?error} references in a string
+ * @param {string} value - String value
+ * @param {Object} env - Variables available for interpolation
+ * @returns {string|number} Interpolated value; a lone reference resolving to an integer becomes a number
+ */
+function interpolateString(value, env) {
+  const references = findReferences(value)
+
+  // A lone reference resolving to an integer becomes a number (e.g. port: ${PORT})
+  if (references.length === 1 && references[0].start === 0 && references[0].end === value.length) {
+    const resolved = resolveExpression(references[0].expression, env)
+    return INTEGER_PATTERN.test(resolved) ? parseInt(resolved, 10) : resolved
+  }
+
+  let result = ''
+  let cursor = 0
+  for (const reference of references) {
+    result += value.slice(cursor, reference.start) + resolveExpression(reference.expression, env)
+    cursor = reference.end
+  }
+  return result + value.slice(cursor)
+}
+
+/**
+ * Find ${...} references in a string, honouring nested braces in defaults
+ * "$$" is skipped so docker compose still sees an escaped literal "$"
+ * @param {string} value - String value
+ * @returns {Array<{start: number, end: number, expression: string}>} References in order
+ */
+function findReferences(value) {
+  const references = []
+  let index = 0
+
+  while (index < value.length) {
+    if (value[index] !== '$') {
+      index++
+    } else if (value[index + 1] === '$') {
+      index += 2
+    } else if (value[index + 1] === '{') {
+      let depth = 1
+      let end = index + 2
+      while (end < value.length && depth > 0) {
+        if (value[end] === '{') depth++
+        if (value[end] === '}') depth--
+        end++
+      }
+      if (depth > 0) {
+        throw new Error(`Unterminated interpolation in '${value}'`)
+      }
+      references.push({ start: index, end, expression: value.slice(index + 2, end - 1) })
+      index = end
+    } else {
+      index++
+    }
+  }
+
+  return references
+}
+
+/**
+ * Recursively interpolate every string value of a parsed YAML structure
+ * @param {*} value - Parsed value (object, array or scalar)
+ * @param {Object} env - Variables available for interpolation
+ * @param {Array<string|number>} keyPath - Path of the current value, attached to errors
+ * @returns {*} Interpolated copy of the value
+ */
+function interpolate(value, env, keyPath = []) {
+  if (typeof value === 'string') {
+    try {
+      return interpolateString(value, env)
+    } catch (error) {
+      error.path = keyPath
+      throw error
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolate(item, env, [...keyPath, index]))
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, env, [...keyPath, key])
+    }
+    return result
+  }
+
+  return value
+}
+
+/**
+ * Parse dotenv content (KEY=value lines, # comments, optional quotes and "export" prefix)
+ * @param {string} content - .env file content
+ * @returns {Object} Parsed variables
+ */
+function parseEnvFile(content) {
+  const vars = {}
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) continue
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/)
+    if (!match) continue
+
+    const [, key, rawValue] = match
+    let value = rawValue
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"')
+    } else if (value.startsWith('\'') && value.endsWith('\'') && value.length >= 2) {
+      value = value.slice(1, -1)
+    } else {
+      // Strip inline comments from unquoted values
+      value = value.replace(/\s+#.*$/, '').trim()
+    }
+
+    vars[key] = value
+  }
+
+  return vars
+}
+
+/**
+ * Build the interpolation environment for a spec directory
+ * Variables from the process environment take precedence over the .env file
+ * @param {string} dirPath - Directory containing the spec (and optional .env file)
+ * @returns {Promise<Object>} Variables available for interpolation
+ */
+async function loadEnv(dirPath) {
+  const envPath = path.join(dirPath, '.env')
+  let fileVars = {}
+
+  if (await fs.pathExists(envPath)) {
+    try {
+      fileVars = parseEnvFile(await fs.readFile(envPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Failed to read env file ${envPath}: ${error.message}`)
+    }
+  }
+
+  return { ...fileVars, ...process.env }
+}
+
+module.exports = {
+  interpolate,
+  interpolateString,
+  parseEnvFile,
+  loadEnv
+}
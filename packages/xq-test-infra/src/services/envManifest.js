@@ -0,0 +1,111 @@
+const fs = require('fs-extra')
+
+const MANIFEST_VERSION = 1
+const DEFAULT_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']
+
+/**
+ * Parse a compose port mapping into host/container pairs
+ * @param {string|number} mapping - "container", "host:container", "ip:host:container", ranges and "/proto" allowed
+ * @returns {Array<{host: number|null, container: number, protocol: string, hostIp: string|null}>} One entry per port
+ */
+function parsePortMapping(mapping) {
+  const [spec, protocol = 'tcp'] = String(mapping).split('/')
+  const parts = spec.split(':')
+  const containerRange = parseRange(parts[parts.length - 1])
+  const hostRange = parts.length > 1 ? parseRange(parts[parts.length - 2]) : []
+  const hostIp = parts.length > 2 ? parts.slice(0, -2).join(':') : null
+
+  return containerRange.map((container, index) => ({
+    host: hostRange.length > 0 ? hostRange[index] ?? null : null,
+    container,
+    protocol,
+    hostIp
+  }))
+}
+
+function parseRange(value) {
+  const [first, last = first] = String(value).split('-').map(part => parseInt(part, 10))
+  if (Number.isNaN(first) || Number.isNaN(last)) return []
+
+  const ports = []
+  for (let port = first; port <= last; port++) {
+    ports.push(port)
+  }
+  return ports
+}
+
+/**
+ * Host name tests use to reach a published port
+ * @param {string|null} hostIp - Bind address from the port mapping
+ * @returns {string} "localhost" unless the port is bound to a specific address
+ */
+function publishedHost(hostIp) {
+  return hostIp && hostIp !== '0.0.0.0' && hostIp !== '::' ? hostIp : 'localhost'
+}
+
+/**
+ * Build the environment manifest from a generated compose object
+ * @param {Object} compose - Generated compose object
+ * @param {Object} spec - Resolved XQ spec (for routes)
+ * @param {Object} environment - Result of composeGenerator.getEnvironmentPaths
+ * @returns {Object} Manifest with services, ports, URLs and gateway address
+ */
+function buildManifest(compose, spec = {}, environment = {}) {
+  const originalServices = spec.services || {}
+  const gatewayService = compose.services['xq-gateway']
+  const gatewayPort = gatewayService ? parsePortMapping(gatewayService.ports[0])[0] : null
+  const gatewayUrl = gatewayPort ? `http://${publishedHost(gatewayPort.hostIp)}:${gatewayPort.host}` : null
+
+  const services = {}
+  for (const [name, composeService] of Object.entries(compose.services)) {
+    if (name === 'xq-gateway') continue
+
+    const ports = (composeService.ports || []).flatMap(parsePortMapping)
+    const published = ports.find(port => port.host !== null)
+    // Same default as the gateway upstream: first mapped container port, else 80
+    const containerPort = ports.length > 0 ? ports[0].container : 80
+
+    services[name] = {
+      hostname: name,
+      image: composeService.image,
+      ports: ports.map(({ host, container, protocol }) => ({ host, container, protocol })),
+      hostPort: published ? published.host : null,
+      containerPort,
+      url: published ? `http://${publishedHost(published.hostIp)}:${published.host}` : null,
+      internalUrl: `http://${name}:${containerPort}`,
+      gatewayUrl: gatewayUrl && !composeService['x-xq-role'] ? `${gatewayUrl}/${name}` : null,
+      routes: (originalServices[name]?.routes || [])
+        .filter(route => Array.isArray(route.paths))
+        .map(route => ({ methods: route.methods || DEFAULT_METHODS, paths: route.paths }))
+    }
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    envName: environment.envName || null,
+    projectName: environment.projectName || null,
+    composeFile: environment.composeFile || null,
+    gateway: gatewayPort
+      ? { url: gatewayUrl, hostPort: gatewayPort.host, containerPort: gatewayPort.container }
+      : null,
+    services
+  }
+}
+
+/**
+ * Write a manifest as pretty-printed JSON
+ * @param {Object} manifest - Manifest from buildManifest
+ * @param {string} outPath - Output path
+ * @returns {Promise<string>} Output path
+ */
+async function writeManifest(manifest, outPath) {
+  await fs.outputFile(outPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8')
+  return outPath
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  buildManifest,
+  writeManifest,
+  parsePortMapping
+}
@@ -12,6 +12,18 @@ function extractContainerPort(ports) {
   return Number.isNaN(num) ? 80 : num
 }
 
+/**
+ * Whether the gateway proxies to a service
+ * Jobs and test runners (x-xq-role: job/test) exit after running and never serve traffic
+ * @param {string} name - Service name
+ * @param {Object} svc - Service configuration
+ * @returns {boolean} True for services that get an upstream
+ */
+function isUpstream(name, svc) {
+  const role = svc['x-xq-role'] || 'service'
+  return name !== 'xq-gateway' && role === 'service'
+}
+
 /**
  * Parse routes from service configuration
  * @param {Object} servicesMap - Map of service names to service configs
@@ -21,7 +33,7 @@ function parseRoutes(servicesMap) {
   const routes = []
 
   for (const [name, svc] of Object.entries(servicesMap)) {
-    if (name === 'xq-gateway') continue
+    if (!isUpstream(name, svc)) continue
 
     const port = extractContainerPort(svc.ports)
 
@@ -140,8 +152,8 @@ function convertToNginxPath(path) {
 function generateServiceNameLocations(servicesMap) {
   const locations = []
 
-  for (const [name, _] of Object.entries(servicesMap)) {
-    if (name === 'xq-gateway') continue
+  for (const [name, svc] of Object.entries(servicesMap)) {
+    if (!isUpstream(name, svc)) continue
 
     const location = `    location /${name}/ {\n        proxy_pass http://${name}_upstream/;\n        proxy_set_header Host $host;\n        proxy_set_header X-Real-IP $remote_addr;\n        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;\n        proxy_set_header X-Forwarded-Proto $scheme;\n    }`
 
@@ -157,7 +169,7 @@ async function generateNginxConfig(servicesMap, outPath) {
 
   // Generate upstreams for all services
   for (const [name, svc] of Object.entries(servicesMap)) {
-    if (name === 'xq-gateway') continue
+    if (!isUpstream(name, svc)) continue
     const port = extractContainerPort(svc.ports)
     upstreams.push(`upstream ${name}_upstream {\n    server ${name}:${port};\n}`)
   }
@@ -0,0 +1,104 @@
+/**
+ * Image-to-healthcheck rules used when a service defines neither `health` nor `healthcheck`
+ * Rules return the `health` shorthand (see composeGenerator.expandHealth)
+ */
+
+function environmentMap(environment) {
+  if (!Array.isArray(environment)) return { ...environment }
+  return Object.fromEntries(environment.map(entry => {
+    const index = entry.indexOf('=')
+    return index === -1 ? [entry, ''] : [entry.slice(0, index), entry.slice(index + 1)]
+  }))
+}
+
+const BUILTIN_RULES = [
+  {
+    image: 'postgres',
+    health: (service) => {
+      const env = environmentMap(service.environment)
+      const user = env.POSTGRES_USER || 'postgres'
+      const database = env.POSTGRES_DB || user
+      // -h localhost stays unready while the entrypoint runs init scripts on the unix socket
+      return { command: `pg_isready -h localhost -U ${user} -d ${database}`, interval: '2s', retries: 30 }
+    }
+  },
+  {
+    image: 'redis',
+    health: (service) => {
+      const env = environmentMap(service.environment)
+      const command = env.REDIS_PASSWORD ? ['redis-cli', '-a', env.REDIS_PASSWORD, 'ping'] : ['redis-cli', 'ping']
+      return { command, interval: '2s', retries: 30 }
+    }
+  },
+  {
+    image: 'mysql',
+    health: (service) => {
+      const env = environmentMap(service.environment)
+      const password = env.MYSQL_ROOT_PASSWORD ? ` -p${env.MYSQL_ROOT_PASSWORD}` : ''
+      return { command: `mysqladmin ping -h 127.0.0.1 -u root${password} --silent`, interval: '3s', retries: 40 }
+    }
+  },
+  {
+    image: 'mongo',
+    health: () => ({
+      command: 'mongosh --quiet --eval \'db.adminCommand("ping").ok\' || mongo --quiet --eval \'db.adminCommand("ping").ok\'',
+      interval: '3s',
+      retries: 30
+    })
+  },
+  {
+    image: 'nginx',
+    health: () => ({ http: '/' })
+  }
+]
+
+class HealthcheckRegistry {
+  constructor() {
+    this.rules = [...BUILTIN_RULES]
+  }
+
+  /**
+   * Register a rule ahead of the existing ones
+   * @param {Object} rule - { image: 'name' or glob, health: shorthand object, function(service) or false }
+   */
+  register(rule) {
+    this.rules.unshift(rule)
+  }
+
+  /**
+   * Infer the `health` shorthand for a service from its image
+   * @param {Object} service - Service definition
+   * @param {Object} config - `healthchecks` from xq.config.yml ({ infer, rules })
+   * @returns {Object|null} Health shorthand, or null when nothing applies
+   */
+  infer(service, config = {}) {
+    // Jobs and test runners exit when done; a healthcheck would only delay their dependents
+    const runsOnce = service.role === 'job' || service.role === 'test'
+    if (config.infer === false || runsOnce || service.health || service.healthcheck || !service.image) {
+      return null
+    }
+
+    // Rules from xq.config.yml win over registered and built-in rules; first match wins
+    const rule = [...(config.rules || []), ...this.rules].find(candidate => this.matches(candidate.image, service.image))
+    if (!rule || !rule.health) {
+      return null
+    }
+
+    return typeof rule.health === 'function' ? rule.health(service) : { ...rule.health }
+  }
+
+  /**
+   * Match an image against a rule pattern
+   * A pattern without "/" matches the last path segment, so "postgres" also matches "docker.io/library/postgres"
+   * @param {string} pattern - Image name or glob with "*"
+   * @param {string} image - Service image without tag
+   * @returns {boolean} True when the rule applies
+   */
+  matches(pattern, image) {
+    const target = pattern.includes('/') ? image : image.split('/').pop()
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+    return regex.test(target)
+  }
+}
+
+module.exports = new HealthcheckRegistry()
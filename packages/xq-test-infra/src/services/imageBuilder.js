@@ -0,0 +1,105 @@
+const path = require('path')
+const composeInvoker = require('./composeInvoker')
+const serviceLoader = require('./serviceLoader')
+
+class ImageBuilder {
+  /**
+   * Services with a `build` section and the image reference they are tagged with
+   * The reference is the same image:tag the generated compose file uses, so `up` runs the built image
+   * @param {Object} spec - Resolved spec (see composeGenerator.resolveSpec)
+   * @param {string[]} [serviceNames] - Only these services (all buildable services when empty)
+   * @returns {Array<{service: string, image: string, build: Object}>} Build targets
+   * @throws {Error} When a requested service does not exist or has no build section
+   */
+  getBuildTargets(spec, serviceNames = []) {
+    const services = spec.services || {}
+
+    for (const name of serviceNames) {
+      if (!services[name]) {
+        throw new Error(`Unknown service '${name}'`)
+      }
+      if (!services[name].build) {
+        throw new Error(`Service '${name}' has no build section`)
+      }
+    }
+
+    return Object.entries(services)
+      .filter(([name, service]) => service.build && (serviceNames.length === 0 || serviceNames.includes(name)))
+      .map(([name, service]) => ({
+        service: name,
+        image: `${service.image}:${service.tag || 'latest'}`,
+        build: typeof service.build === 'string' ? { context: service.build } : service.build
+      }))
+  }
+
+  /**
+   * Arguments for "docker build"
+   * Build args without a value (e.g. "- GITHUB_TOKEN") are taken from the environment by docker,
+   * so secrets never end up in spec or compose files
+   * @param {Object} target - Target from getBuildTargets
+   * @param {Object} options - Options
+   * @param {Object|string[]} [options.buildArgs] - Extra build args (map or KEY=value list), win over the service's args
+   * @param {boolean} [options.noCache] - Build without cache
+   * @returns {string[]} Arguments
+   */
+  dockerBuildArgs(target, options = {}) {
+    const { context = '.', dockerfile, args, target: stage } = target.build
+    const cliArgs = ['build', '-t', target.image]
+
+    // Like compose, dockerfile is relative to the context
+    if (dockerfile) cliArgs.push('-f', path.resolve(context, dockerfile))
+    if (stage) cliArgs.push('--target', stage)
+
+    const buildArgs = serviceLoader.mergeEnvironment(args, options.buildArgs || {})
+    for (const [key, value] of Object.entries(buildArgs)) {
+      cliArgs.push('--build-arg', value === null || value === undefined ? key : `${key}=${value}`)
+    }
+
+    if (options.noCache) cliArgs.push('--no-cache')
+    cliArgs.push(context)
+    return cliArgs
+  }
+
+  /**
+   * Build the images of every buildable service
+   * Sequential builds stream docker output; parallel builds collect it and show it for failed builds
+   * @param {Object} spec - Resolved spec
+   * @param {Object} options - Options
+   * @param {string[]} [options.services] - Only build these services
+   * @param {boolean} [options.parallel=false] - Build all images at once
+   * @param {Object|string[]} [options.buildArgs] - Extra build args (map or KEY=value list)
+   * @param {boolean} [options.noCache] - Build without cache
+   * @param {number} [options.timeout=1800000] - Timeout per build in milliseconds
+   * @returns {Promise<Array<{service: string, image: string, success: boolean, error?: string}>>} Result per service
+   */
+  async build(spec, options = {}) {
+    const { services = [], parallel = false, timeout = 1800000 } = options
+    const targets = this.getBuildTargets(spec, services)
+
+    const buildOne = async (target) => {
+      console.log(`🔨 Building ${target.service} (${target.image})`)
+      try {
+        await composeInvoker.execCommand('docker', this.dockerBuildArgs(target, options), {
+          stdio: parallel ? 'pipe' : 'inherit',
+          cwd: process.cwd(),
+          timeout
+        })
+        return { service: target.service, image: target.image, success: true }
+      } catch (error) {
+        return { service: target.service, image: target.image, success: false, error: error.message }
+      }
+    }
+
+    if (parallel) {
+      return Promise.all(targets.map(buildOne))
+    }
+
+    const results = []
+    for (const target of targets) {
+      results.push(await buildOne(target))
+    }
+    return results
+  }
+}
+
+module.exports = new ImageBuilder()
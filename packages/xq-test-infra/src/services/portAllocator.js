@@ -0,0 +1,107 @@
+const net = require('net')
+
+class PortAllocator {
+  /**
+   * Allocates host ports for a generated environment
+   * @param {Object} options - Allocator options
+   * @param {number} [options.start=3000] - First port of the auto-assignment range
+   * @param {number} [options.end=65535] - Last port of the auto-assignment range
+   * @param {boolean} [options.probe=true] - Skip ports that are already bound on the host
+   */
+  constructor(options = {}) {
+    const { start = 3000, end = 65535, probe = true } = options
+
+    if (start > end) {
+      throw new Error(`Invalid port range: start ${start} is greater than end ${end}`)
+    }
+
+    this.start = start
+    this.end = Math.min(end, 65535)
+    this.probe = probe
+    this.used = new Set()
+    this.owners = new Map()
+  }
+
+  /**
+   * Reserve the host ports of manual port mappings
+   * @param {string[]} ports - Port mappings ("host:container", "ip:host:container", "container")
+   * @param {string} owner - Service name owning the mappings
+   * @throws {Error} If another service already uses one of the host ports
+   */
+  reserveMappings(ports, owner) {
+    for (const mapping of ports) {
+      for (const port of PortAllocator.hostPorts(mapping)) {
+        this.reserve(port, owner)
+      }
+    }
+  }
+
+  /**
+   * Reserve a single host port
+   * @param {number} port - Host port
+   * @param {string} owner - Service name owning the port
+   * @throws {Error} If another service already uses the port
+   */
+  reserve(port, owner) {
+    const current = this.owners.get(port)
+    if (current && current !== owner) {
+      throw new Error(`Port conflict: host port ${port} is used by both '${current}' and '${owner}'`)
+    }
+    this.used.add(port)
+    this.owners.set(port, owner)
+  }
+
+  /**
+   * Find the next port that is neither reserved nor bound on the host
+   * The port is not reserved; callers add it to `used` once assigned
+   * @param {number} [from] - First port to try (defaults to range start)
+   * @param {number} [to] - Last port to try (defaults to range end)
+   * @returns {Promise<number>} Free port
+   * @throws {Error} If the range is exhausted
+   */
+  async nextFree(from = this.start, to = this.end) {
+    for (let port = from; port <= to; port++) {
+      if (this.used.has(port)) continue
+      if (this.probe && !(await PortAllocator.isPortFree(port))) continue
+      return port
+    }
+    throw new Error(`No free host port available in range ${from}-${to}`)
+  }
+
+  /**
+   * Extract host ports from a port mapping
+   * @param {string|number} mapping - Port mapping
+   * @returns {number[]} Host ports (empty when docker picks the host port)
+   */
+  static hostPorts(mapping) {
+    const parts = String(mapping).split('/')[0].split(':')
+    if (parts.length < 2) return []
+
+    const [first, last = first] = parts[parts.length - 2].split('-').map(value => parseInt(value, 10))
+    if (Number.isNaN(first) || Number.isNaN(last)) return []
+
+    const ports = []
+    for (let port = first; port <= last; port++) {
+      ports.push(port)
+    }
+    return ports
+  }
+
+  /**
+   * Check whether a TCP port can be bound on all interfaces
+   * @param {number} port - Port to probe
+   * @returns {Promise<boolean>} True when the port is free
+   */
+  static isPortFree(port) {
+    return new Promise(resolve => {
+      const server = net.createServer()
+      server.unref()
+      server.once('error', () => resolve(false))
+      server.listen({ port, host: '0.0.0.0', exclusive: true }, () => {
+        server.close(() => resolve(true))
+      })
+    })
+  }
+}
+
+module.exports = PortAllocator
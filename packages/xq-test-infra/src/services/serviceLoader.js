@@ -1,14 +1,19 @@
 const fs = require('fs-extra')
 const path = require('path')
 const YAML = require('yaml')
+const { interpolate, loadEnv } = require('./envInterpolation')
+const { deepMerge } = require('./deepMerge')
 
 class ServiceLoader {
   /**
    * Load and merge service files from a directory
    * @param {string} dirPath - Path to directory containing service files
+   * @param {Object} options - Load options
+   * @param {Object} [options.env] - Variables for ${VAR} interpolation (defaults to .env in dirPath + process.env)
+   * @param {string} [options.profile] - Name of a profile from xq.config.yml to apply
    * @returns {Promise<Object>} Unified spec object with services, dependencies, and portRange
    */
-  async loadFromDirectory(dirPath) {
+  async loadFromDirectory(dirPath, options = {}) {
     // Verify directory exists
     const dirExists = await fs.pathExists(dirPath)
     if (!dirExists) {
@@ -27,11 +32,21 @@ class ServiceLoader {
       throw new Error(`No service files (*.service.yml or *.service.yaml) found in ${dirPath}`)
     }
 
+    // Variables for ${VAR} interpolation: process environment wins over .env next to the spec
+    const env = options.env || await loadEnv(dirPath)
+
     // Load global config if exists
-    const globalConfig = await this.loadGlobalConfig(dirPath)
+    const globalConfig = await this.loadGlobalConfig(dirPath, env)
 
     // Load and merge all service files
-    const mergedSpec = await this.mergeServiceFiles(dirPath, serviceFiles, globalConfig)
+    const mergedSpec = await this.mergeServiceFiles(dirPath, serviceFiles, globalConfig, env)
+
+    // Apply selected profile on top of the service files (--overrides are applied later, on top of this)
+    if (options.profile) {
+      const profiledSpec = this.applyProfile(mergedSpec, globalConfig, options.profile)
+      this.validateDependencies(profiledSpec)
+      return profiledSpec
+    }
 
     return mergedSpec
   }
@@ -55,9 +70,10 @@ class ServiceLoader {
   /**
    * Load global config file (xq.config.yml) if it exists
    * @param {string} dirPath - Directory path
+   * @param {Object} env - Variables for ${VAR} interpolation
    * @returns {Promise<Object>} Global config object or empty object
    */
-  async loadGlobalConfig(dirPath) {
+  async loadGlobalConfig(dirPath, env = process.env) {
     const configPaths = [
       path.join(dirPath, 'xq.config.yml'),
       path.join(dirPath, 'xq.config.yaml')
@@ -65,12 +81,14 @@ class ServiceLoader {
 
     for (const configPath of configPaths) {
       if (await fs.pathExists(configPath)) {
+        let config
         try {
           const content = await fs.readFile(configPath, 'utf8')
-          return YAML.parse(content) || {}
+          config = YAML.parse(content) || {}
         } catch (error) {
           throw new Error(`Failed to parse global config ${configPath}: ${error.message}`)
         }
+        return this.interpolateFile(config, env, configPath)
       }
     }
 
@@ -82,14 +100,15 @@ class ServiceLoader {
    * @param {string} dirPath - Directory path
    * @param {string[]} serviceFiles - Array of service filenames
    * @param {Object} globalConfig - Global config object
+   * @param {Object} env - Variables for ${VAR} interpolation
    * @returns {Promise<Object>} Merged spec object
    */
-  async mergeServiceFiles(dirPath, serviceFiles, globalConfig) {
+  async mergeServiceFiles(dirPath, serviceFiles, globalConfig, env = process.env) {
     const spec = {
       services: {}
     }
 
-    // Add global config (portRange, dependencies)
+    // Add global config (portRange, dependencies, gateway, healthchecks)
     if (globalConfig.portRange) {
       spec.portRange = globalConfig.portRange
     }
@@ -98,6 +117,14 @@ class ServiceLoader {
       spec.dependencies = globalConfig.dependencies
     }
 
+    if (globalConfig.gateway) {
+      spec.gateway = globalConfig.gateway
+    }
+
+    if (globalConfig.healthchecks) {
+      spec.healthchecks = globalConfig.healthchecks
+    }
+
     // Load each service file
     for (const filename of serviceFiles) {
       const filePath = path.join(dirPath, filename)
@@ -114,6 +141,8 @@ class ServiceLoader {
         throw new Error(`Service file ${filename} is empty or invalid`)
       }
 
+      serviceData = this.interpolateFile(serviceData, env, filename)
+
       // Derive service name from filename or explicit name field
       const serviceName = serviceData.name || this.deriveServiceName(filename)
 
@@ -130,12 +159,252 @@ class ServiceLoader {
       spec.services[serviceName] = serviceConfig
     }
 
+    // Resolve `extends` against templates from xq.config.yml and other services
+    spec.services = this.resolveExtends(spec.services, globalConfig.templates)
+
+    // Apply `defaults` underneath every service's own values
+    spec.services = this.applyDefaults(spec.services, globalConfig.defaults)
+
+    // The compose file is written elsewhere, so build contexts must not stay relative to this directory
+    spec.services = this.resolveBuildContexts(spec.services, dirPath)
+
     // Validate dependencies
     this.validateDependencies(spec)
 
     return spec
   }
 
+  /**
+   * Resolve `extends` references of every service
+   * A service is deep-merged on top of the templates or services it extends, in order.
+   * Names are looked up in templates first, then in services.
+   * @param {Object} services - Services keyed by name
+   * @param {Object} templates - Templates keyed by name (xq.config.yml `templates`)
+   * @returns {Object} Services without `extends`
+   * @throws {Error} On unknown references, circular extends, or a service left without an image
+   */
+  resolveExtends(services, templates = {}) {
+    const resolved = new Map()
+
+    const lookup = (name) => {
+      if (templates[name]) return { kind: 'Template', name, definition: templates[name] }
+      if (services[name]) return { kind: 'Service', name, definition: services[name] }
+      return null
+    }
+
+    const resolveNode = (node, chain) => {
+      const key = `${node.kind}:${node.name}`
+      if (resolved.has(key)) return resolved.get(key)
+      if (chain.some(entry => entry.key === key)) {
+        const names = [...chain.slice(chain.findIndex(entry => entry.key === key)), { key, name: node.name }]
+        throw new Error(`Circular extends: ${names.map(entry => entry.name).join(' -> ')}`)
+      }
+
+      const { extends: parents, ...own } = node.definition
+      const parentNames = [].concat(parents || [])
+      if (parentNames.length === 0) {
+        resolved.set(key, own)
+        return own
+      }
+
+      let base = {}
+      for (const parentName of parentNames) {
+        const parent = lookup(parentName)
+        if (!parent) {
+          throw new Error(`${node.kind} '${node.name}' extends unknown template or service '${parentName}'`)
+        }
+        const inherited = resolveNode(parent, [...chain, { key, name: node.name }])
+        base = deepMerge(base, this.normalizeEnvironment(inherited))
+      }
+
+      const result = deepMerge(base, this.normalizeEnvironment(own))
+      resolved.set(key, result)
+      return result
+    }
+
+    const result = {}
+    for (const [name, definition] of Object.entries(services)) {
+      if (definition.extends === undefined) {
+        result[name] = definition
+        continue
+      }
+
+      result[name] = resolveNode({ kind: 'Service', name, definition }, [])
+      if (!result[name].image) {
+        throw new Error(`Service '${name}' has no image after resolving extends`)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Apply a `defaults` block to every service; the service's own values win
+   * environment and labels are merged key by key, healthcheck timing only applies
+   * to services that define a healthcheck or health shorthand
+   * @param {Object} services - Services keyed by name
+   * @param {Object} defaults - Defaults (tag, environment, labels, restart, networks, healthcheck)
+   * @returns {Object} Services with defaults applied
+   */
+  applyDefaults(services, defaults) {
+    if (!defaults) return services
+
+    const { healthcheck, environment, labels, ...fields } = defaults
+    const result = {}
+
+    for (const [name, service] of Object.entries(services)) {
+      const merged = { ...fields, ...service }
+
+      if (environment) {
+        merged.environment = this.mergeEnvironment(environment, service.environment || {})
+      }
+      if (labels) {
+        merged.labels = this.mergeEnvironment(labels, service.labels || {})
+      }
+      if (healthcheck && service.healthcheck && !service.healthcheck.disable) {
+        merged.healthcheck = { ...healthcheck, ...service.healthcheck }
+      }
+      if (healthcheck && service.health) {
+        merged.health = { ...healthcheck, ...service.health }
+      }
+
+      result[name] = merged
+    }
+
+    return result
+  }
+
+  /**
+   * Convert KEY=value list environment and labels into maps so they deep-merge key by key
+   * @param {Object} definition - Service or template definition
+   * @returns {Object} Definition with map environment and labels
+   */
+  normalizeEnvironment(definition) {
+    const result = { ...definition }
+    for (const key of ['environment', 'labels']) {
+      if (Array.isArray(definition[key])) {
+        result[key] = this.mergeEnvironment({}, definition[key])
+      }
+    }
+    return result
+  }
+
+  /**
+   * Resolve `build` contexts of every service against a base directory
+   * @param {Object} services - Services keyed by name
+   * @param {string} baseDir - Directory of the service files or spec file
+   * @returns {Object} Services whose build is { context: <absolute path>, ... }
+   */
+  resolveBuildContexts(services, baseDir) {
+    return Object.fromEntries(Object.entries(services).map(([name, service]) => {
+      if (!service.build) return [name, service]
+
+      const build = typeof service.build === 'string' ? { context: service.build } : { ...service.build }
+      build.context = path.resolve(baseDir, build.context || '.')
+      return [name, { ...service, build }]
+    }))
+  }
+
+  /**
+   * Apply a named profile from xq.config.yml to a merged spec
+   * Profiles can restrict the loaded services (include/exclude) and override
+   * tag, port, ports and environment of individual services
+   * @param {Object} spec - Merged spec object
+   * @param {Object} globalConfig - Global config object
+   * @param {string} profileName - Profile to apply
+   * @returns {Object} New spec with the profile applied
+   * @throws {Error} If the profile does not exist or references unknown services
+   */
+  applyProfile(spec, globalConfig, profileName) {
+    const profiles = globalConfig.profiles || {}
+    const profile = profiles[profileName]
+
+    if (!profile) {
+      const available = Object.keys(profiles)
+      const hint = available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles defined in xq.config.yml'
+      throw new Error(`Profile '${profileName}' not found. ${hint}`)
+    }
+
+    const result = JSON.parse(JSON.stringify(spec))
+    const serviceNames = Object.keys(result.services)
+    const assertKnown = (name, field) => {
+      if (!result.services[name]) {
+        throw new Error(`Profile '${profileName}' ${field} references unknown service '${name}'`)
+      }
+    }
+
+    // Restrict loaded services
+    let selected = serviceNames
+    if (profile.include) {
+      profile.include.forEach(name => assertKnown(name, 'include'))
+      selected = selected.filter(name => profile.include.includes(name))
+    }
+    if (profile.exclude) {
+      profile.exclude.forEach(name => assertKnown(name, 'exclude'))
+      selected = selected.filter(name => !profile.exclude.includes(name))
+    }
+
+    // Apply per-service overrides
+    Object.entries(profile.services || {}).forEach(([name, patch]) => {
+      assertKnown(name, 'services')
+      const service = result.services[name]
+      const { environment, ...fields } = patch
+      Object.assign(service, fields)
+      if (environment) {
+        service.environment = this.mergeEnvironment(service.environment, environment)
+      }
+    })
+
+    result.services = Object.fromEntries(selected.map(name => [name, result.services[name]]))
+
+    // Dependency groups must not point at services the profile removed
+    const dependencies = result.dependencies || {}
+    for (const [name, service] of Object.entries(result.services)) {
+      for (const group of this.dependencyNames(service.dependencyGroups)) {
+        const missing = this.dependencyNames(dependencies[group]).find(dep => !result.services[dep])
+        if (missing) {
+          throw new Error(`Profile '${profileName}' removes service '${missing}' required by '${name}' through dependency group '${group}'`)
+        }
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Merge environment variables, accepting both map and KEY=value list forms
+   * @param {Object|string[]} base - Existing environment
+   * @param {Object|string[]} patch - Environment to merge on top
+   * @returns {Object} Merged environment map
+   */
+  mergeEnvironment(base, patch) {
+    const toMap = (env) => {
+      if (!Array.isArray(env)) return { ...env }
+      return Object.fromEntries(env.map(entry => {
+        const index = entry.indexOf('=')
+        return index === -1 ? [entry, null] : [entry.slice(0, index), entry.slice(index + 1)]
+      }))
+    }
+
+    return { ...toMap(base || {}), ...toMap(patch) }
+  }
+
+  /**
+   * Resolve ${VAR} references in a parsed file
+   * @param {Object} data - Parsed YAML content
+   * @param {Object} env - Variables for interpolation
+   * @param {string} filename - File name used in error messages
+   * @returns {Object} Interpolated content
+   */
+  interpolateFile(data, env, filename) {
+    try {
+      return interpolate(data, env)
+    } catch (error) {
+      const location = error.path && error.path.length > 0 ? ` at ${error.path.join('.')}` : ''
+      throw new Error(`Failed to interpolate ${filename}${location}: ${error.message}`)
+    }
+  }
+
   /**
    * Derive service name from filename
    * @param {string} filename - Service filename (e.g., 'postgres.service.yml')
@@ -147,6 +416,16 @@ class ServiceLoader {
       .replace(/\.service\.ya?ml$/, '')
   }
 
+  /**
+   * Names from a depends_on, dependencyGroups or dependency group value
+   * @param {Array|Object} value - List of names or compose long form ({ name: { condition } })
+   * @returns {string[]} Names
+   */
+  dependencyNames(value) {
+    if (!value) return []
+    return Array.isArray(value) ? value : Object.keys(value)
+  }
+
   /**
    * Validate service dependencies to detect circular dependencies
    * @param {Object} spec - Merged spec object
@@ -171,7 +450,11 @@ class ServiceLoader {
 
       const service = services[serviceName]
       if (service && service.depends_on) {
-        for (const dep of service.depends_on) {
+        for (const dep of this.dependencyNames(service.depends_on)) {
+          if (!services[dep] && service.depends_on[dep]?.required === false) {
+            continue // Optional in compose: started when present
+          }
+
           if (!services[dep]) {
             throw new Error(`Service '${serviceName}' depends on non-existent service '${dep}'`)
           }
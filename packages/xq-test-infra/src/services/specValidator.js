@@ -0,0 +1,223 @@
+const fs = require('fs-extra')
+const path = require('path')
+const YAML = require('yaml')
+const Ajv = require('ajv')
+const serviceSchema = require('../../schema/xq-service.schema.json')
+const configSchema = require('../../schema/xq-config.schema.json')
+const specSchema = require('../../schema/xq-spec.schema.json')
+const serviceLoader = require('./serviceLoader')
+const { interpolate, loadEnv } = require('./envInterpolation')
+
+const CONFIG_FILES = ['xq.config.yml', 'xq.config.yaml']
+
+class SpecValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false, verbose: true })
+    this.ajv.addSchema([serviceSchema, configSchema, specSchema])
+  }
+
+  /**
+   * Validate an XQ spec file or a directory of service files
+   * @param {string} specPath - Path to single-file spec or service directory
+   * @returns {Promise<{valid: boolean, errors: Object[]}>} Validation result with every error found
+   */
+  async validate(specPath) {
+    if (!(await fs.pathExists(specPath))) {
+      return this.result([{ file: specPath, line: 0, column: 0, path: '', message: 'path does not exist' }])
+    }
+
+    const stat = await fs.stat(specPath)
+    const env = await loadEnv(stat.isDirectory() ? specPath : path.dirname(specPath))
+    const errors = stat.isDirectory()
+      ? await this.validateDirectory(specPath, env)
+      : await this.validateFile(specPath, specSchema.$id, env)
+
+    return this.result(errors)
+  }
+
+  /**
+   * Validate spec and throw a single error listing every problem
+   * @param {string} specPath - Path to single-file spec or service directory
+   * @throws {Error} If the spec does not match the schema
+   */
+  async assertValid(specPath) {
+    const { valid, errors } = await this.validate(specPath)
+    if (!valid) {
+      const details = errors.map(error => `  ${this.formatError(error)}`).join('\n')
+      throw new Error(`Spec validation failed with ${errors.length} error(s):\n${details}`)
+    }
+  }
+
+  /**
+   * Validate every service file and the global config in a directory
+   * @param {string} dirPath - Directory path
+   * @param {Object} env - Variables for ${VAR} interpolation
+   * @returns {Promise<Object[]>} Validation errors
+   */
+  async validateDirectory(dirPath, env = process.env) {
+    const errors = []
+    const serviceFiles = await serviceLoader.scanServiceFiles(dirPath)
+
+    if (serviceFiles.length === 0) {
+      errors.push({
+        file: dirPath,
+        line: 0,
+        column: 0,
+        path: '',
+        message: 'no service files (*.service.yml or *.service.yaml) found'
+      })
+    }
+
+    for (const filename of serviceFiles) {
+      errors.push(...await this.validateFile(path.join(dirPath, filename), serviceSchema.$id, env))
+    }
+
+    for (const filename of CONFIG_FILES) {
+      const configPath = path.join(dirPath, filename)
+      if (await fs.pathExists(configPath)) {
+        errors.push(...await this.validateFile(configPath, configSchema.$id, env))
+        break
+      }
+    }
+
+    return errors
+  }
+
+  /**
+   * Validate a single YAML file against a schema
+   * @param {string} filePath - YAML file path
+   * @param {string} schemaId - $id of the schema to validate against
+   * @param {Object} env - Variables for ${VAR} interpolation
+   * @returns {Promise<Object[]>} Validation errors
+   */
+  async validateFile(filePath, schemaId, env = process.env) {
+    const content = await fs.readFile(filePath, 'utf8')
+    return this.validateContent(content, filePath, schemaId, env)
+  }
+
+  /**
+   * Validate YAML content against a schema, mapping errors back to source lines
+   * ${VAR} references are resolved first so interpolated values are checked by type
+   * @param {string} content - YAML source
+   * @param {string} file - File name used in reported errors
+   * @param {string} schemaId - $id of the schema to validate against
+   * @param {Object} env - Variables for ${VAR} interpolation
+   * @returns {Object[]} Validation errors sorted by line
+   */
+  validateContent(content, file, schemaId, env = process.env) {
+    const lineCounter = new YAML.LineCounter()
+    const doc = YAML.parseDocument(content, { lineCounter })
+
+    if (doc.errors.length > 0) {
+      return doc.errors.map(error => {
+        const [pos] = error.linePos || [{ line: 0, col: 0 }]
+        return { file, line: pos.line, column: pos.col, path: '', message: error.message.split('\n')[0] }
+      })
+    }
+
+    if (doc.contents === null) {
+      return [{ file, line: 1, column: 1, path: '', message: 'file is empty' }]
+    }
+
+    let data
+    try {
+      data = interpolate(doc.toJS(), env)
+    } catch (error) {
+      const segments = (error.path || []).map(String)
+      const { line, col } = this.locate(doc, segments, lineCounter)
+      return [{ file, line, column: col, path: segments.join('.'), message: error.message }]
+    }
+
+    const validateFn = this.ajv.getSchema(schemaId)
+    if (validateFn(data)) {
+      return []
+    }
+
+    // "if" only reports that a "then" branch failed; the branch's own error is more useful.
+    // "oneOf" branches report one error per alternative; the summary from toValidationError is clearer.
+    return validateFn.errors
+      .filter(error => error.keyword !== 'if' && !error.schemaPath.includes('/oneOf/'))
+      .map(error => this.toValidationError(error, doc, lineCounter, file))
+      .sort((a, b) => a.line - b.line || a.column - b.column)
+  }
+
+  /**
+   * Convert an ajv error into a located validation error
+   * @param {Object} error - ajv error object
+   * @param {YAML.Document} doc - Parsed YAML document
+   * @param {YAML.LineCounter} lineCounter - Line counter used while parsing
+   * @param {string} file - File name
+   * @returns {Object} Validation error with file, line, column, path and message
+   */
+  toValidationError(error, doc, lineCounter, file) {
+    const segments = error.instancePath
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+
+    let message = error.message
+    if (error.keyword === 'additionalProperties') {
+      segments.push(error.params.additionalProperty)
+      message = `unknown property '${error.params.additionalProperty}'`
+    } else if (error.keyword === 'required') {
+      message = `missing required property '${error.params.missingProperty}'`
+    } else if (error.keyword === 'enum') {
+      message = `${error.message}: ${error.params.allowedValues.join(', ')}`
+    } else if (error.keyword === 'oneOf') {
+      const alternatives = error.schema.flatMap(branch => branch.required || [])
+      if (alternatives.length === error.schema.length) {
+        message = `must define exactly one of: ${alternatives.join(', ')}`
+      }
+    }
+
+    const { line, col } = this.locate(doc, segments, lineCounter)
+    return { file, line, column: col, path: segments.join('.'), message }
+  }
+
+  /**
+   * Find the source position of the deepest node matching a path
+   * @param {YAML.Document} doc - Parsed YAML document
+   * @param {string[]} segments - Path segments
+   * @param {YAML.LineCounter} lineCounter - Line counter used while parsing
+   * @returns {{line: number, col: number}} 1-based position
+   */
+  locate(doc, segments, lineCounter) {
+    let node = doc.contents
+    let found = node
+
+    for (const segment of segments) {
+      if (YAML.isMap(node)) {
+        const pair = node.items.find(item => String(YAML.isScalar(item.key) ? item.key.value : item.key) === segment)
+        if (!pair) break
+        found = pair.key
+        node = pair.value
+      } else if (YAML.isSeq(node)) {
+        const item = node.items[Number(segment)]
+        if (!item) break
+        found = item
+        node = item
+      } else {
+        break
+      }
+    }
+
+    return found && found.range ? lineCounter.linePos(found.range[0]) : { line: 1, col: 1 }
+  }
+
+  /**
+   * Format a validation error as "file:line:column path: message"
+   * @param {Object} error - Validation error
+   * @returns {string} Formatted error
+   */
+  formatError(error) {
+    const file = path.relative(process.cwd(), error.file) || error.file
+    const location = error.line ? `${file}:${error.line}:${error.column}` : file
+    return error.path ? `${location} ${error.path}: ${error.message}` : `${location}: ${error.message}`
+  }
+
+  result(errors) {
+    return { valid: errors.length === 0, errors }
+  }
+}
+
+module.exports = new SpecValidator()
@@ -0,0 +1,87 @@
+/**
+ * Workspace state directory
+ *
+ * `generate` writes the compose file, gateway config, manifest and a state file into the
+ * workspace (`.xq/` by default). The state file records the spec that was generated and the
+ * compose project name, so `up`, `down`, `logs` and `status` need nothing but the workspace
+ * (or `-c <compose>`) and work from any directory.
+ */
+
+const fs = require('fs-extra')
+const path = require('path')
+
+const DEFAULT_WORKSPACE = '.xq'
+const STATE_VERSION = 1
+
+/**
+ * Resolve the workspace directory
+ * @param {string} [dir] - Workspace given on the command line, `.xq` when omitted
+ * @param {string} [cwd] - Directory relative workspaces resolve against
+ * @returns {string} Absolute workspace path
+ */
+function resolveWorkspaceDir(dir, cwd = process.cwd()) {
+  return path.resolve(cwd, dir || DEFAULT_WORKSPACE)
+}
+
+/**
+ * Compose project name of an unnamed environment, derived from the directory it was generated from
+ * Follows compose's own normalization of the directory name, so moving the generated files into
+ * the workspace keeps the project name an environment had before
+ * @param {string} [dir] - Directory generate ran in
+ * @returns {string|undefined} Project name, or undefined when nothing valid is left
+ */
+function defaultProjectName(dir = process.cwd()) {
+  const name = path.basename(dir)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .replace(/^[^a-z0-9]+/, '')
+  return name || undefined
+}
+
+/**
+ * Write the workspace state file
+ * @param {string} stateFile - Path to xq-state.json
+ * @param {{spec: string, envName?: string, projectName?: string}} state - Generated spec and project
+ */
+async function writeState(stateFile, state) {
+  await fs.outputJson(stateFile, { version: STATE_VERSION, ...state }, { spaces: 2 })
+}
+
+/**
+ * Read the workspace state file
+ * @param {string} stateFile - Path to xq-state.json
+ * @returns {Promise<Object|null>} State, or null when the file does not exist
+ */
+async function readState(stateFile) {
+  if (!await fs.pathExists(stateFile)) {
+    return null
+  }
+  try {
+    return await fs.readJson(stateFile)
+  } catch (error) {
+    throw new Error(`Failed to read workspace state ${stateFile}: ${error.message}`)
+  }
+}
+
+/**
+ * Complete environment paths with the spec and project name recorded by generate
+ * @param {Object} paths - Environment paths from composeGenerator.getEnvironmentPaths
+ * @returns {Promise<Object>} Paths with `spec` (null when unknown) and the recorded `projectName`
+ */
+async function withState(paths) {
+  const state = await readState(paths.stateFile)
+  return {
+    ...paths,
+    projectName: paths.projectName || (state && state.projectName) || undefined,
+    spec: (state && state.spec) || null
+  }
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  resolveWorkspaceDir,
+  defaultProjectName,
+  writeState,
+  readState,
+  withState
+}
@@ -0,0 +1,134 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const { runEnvironment } = require('../src/cli')
+const composeInvoker = require('../src/services/composeInvoker')
+const PortAllocator = require('../src/services/portAllocator')
+
+describe('run', () => {
+  let tempDir
+  let opts
+  let workspaceDir
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `xq-cli-${Date.now()}`)
+    workspaceDir = path.join(tempDir, '.xq')
+    await fs.outputFile(path.join(tempDir, 'services', 'api.service.yml'), 'image: api\nport: 3000\n')
+    await fs.outputFile(path.join(tempDir, 'services', 'e2e.service.yml'), 'role: test\nimage: e2e\n')
+
+    // Options as commander passes them for `run -f <dir> --workspace <dir>`
+    opts = {
+      file: path.join(tempDir, 'services'),
+      workspace: workspaceDir,
+      gateway: true,
+      validate: true,
+      set: [],
+      pull: true,
+      waitTimeout: 120
+    }
+
+    jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    jest.spyOn(composeInvoker, 'pull').mockResolvedValue()
+    jest.spyOn(composeInvoker, 'up').mockResolvedValue()
+    jest.spyOn(composeInvoker, 'waitForJobs').mockResolvedValue({ jobs: [], ready: true, failures: [] })
+    jest.spyOn(composeInvoker, 'waitForHealthy').mockResolvedValue({ ready: true, failures: [] })
+    jest.spyOn(composeInvoker, 'getEnvironmentStatus').mockResolvedValue([])
+    jest.spyOn(composeInvoker, 'detectTestContainers').mockResolvedValue([])
+    jest.spyOn(composeInvoker, 'collectArtifacts').mockResolvedValue([])
+    jest.spyOn(composeInvoker, 'logs').mockResolvedValue()
+    jest.spyOn(composeInvoker, 'dumpLogs').mockResolvedValue([])
+    jest.spyOn(composeInvoker, 'down').mockResolvedValue()
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(tempDir)
+  })
+
+  const composeFile = () => path.join(workspaceDir, 'xq-compose.yml')
+
+  const expectTornDown = async () => {
+    expect(composeInvoker.down).toHaveBeenCalledTimes(1)
+    expect(composeInvoker.down).toHaveBeenCalledWith(composeFile(), expect.objectContaining({ projectName: expect.any(String) }))
+    expect(await fs.pathExists(composeFile())).toBe(false)
+    expect(await fs.pathExists(path.join(workspaceDir, 'xq-env.json'))).toBe(false)
+    expect(await fs.pathExists(path.join(workspaceDir, 'xq-state.json'))).toBe(false)
+    expect(await fs.pathExists(path.join(workspaceDir, 'nginx-gateway.conf'))).toBe(false)
+  }
+
+  test('should tear down when the services do not start', async () => {
+    composeInvoker.up.mockRejectedValue(new Error('dependency failed to start'))
+
+    const code = await runEnvironment([], opts)
+
+    expect(code).toBe(3)
+    await expectTornDown()
+  })
+
+  test('should tear down when the tests fail', async () => {
+    composeInvoker.detectTestContainers.mockResolvedValue(['e2e'])
+    jest.spyOn(composeInvoker, 'waitForTestContainers').mockResolvedValue({
+      passed: false,
+      failures: [{ service: 'e2e', reason: 'exited with code 1' }],
+      crashes: []
+    })
+
+    const code = await runEnvironment([], opts)
+
+    expect(code).toBe(1)
+    expect(composeInvoker.collectArtifacts).toHaveBeenCalled()
+    await expectTornDown()
+  })
+
+  test('should leave the environment and its files with --keep', async () => {
+    const code = await runEnvironment([], { ...opts, keep: true })
+
+    expect(code).toBe(0)
+    expect(composeInvoker.down).not.toHaveBeenCalled()
+    expect(await fs.pathExists(composeFile())).toBe(true)
+    expect(console.log).toHaveBeenCalledWith(`Environment left running, stop it with: xq-infra down --workspace ${workspaceDir}`)
+  })
+
+  test('should exit with the host command exit code', async () => {
+    const error = new Error('Command failed with exit code 7')
+    error.result = { exitCode: 7 }
+    const execCommand = jest.spyOn(composeInvoker, 'execCommand').mockRejectedValue(error)
+
+    const code = await runEnvironment(['npm', 'test'], opts)
+
+    expect(code).toBe(7)
+    expect(execCommand).toHaveBeenCalledWith('npm', ['test'], expect.objectContaining({
+      env: expect.objectContaining({ XQ_ENV_MANIFEST: path.join(workspaceDir, 'xq-env.json') })
+    }))
+    await expectTornDown()
+  })
+
+  test('should tear down once and exit when interrupted', async () => {
+    const listeners = ['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event))
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {})
+    composeInvoker.up.mockImplementation(async () => {
+      process.emit('SIGINT', 'SIGINT')
+      throw new Error('Command failed with exit code 130')
+    })
+
+    const code = await runEnvironment([], opts)
+
+    expect(code).toBe(130)
+    expect(exit).toHaveBeenCalledWith(130)
+    await expectTornDown()
+    // No handler is left behind, and generating installed no cleanup handlers
+    expect(['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event))).toEqual(listeners)
+  })
+
+  test('should not start anything when the spec cannot be generated', async () => {
+    const code = await runEnvironment([], { ...opts, file: path.join(tempDir, 'missing') })
+
+    expect(code).toBe(2)
+    expect(composeInvoker.up).not.toHaveBeenCalled()
+    expect(composeInvoker.down).not.toHaveBeenCalled()
+  })
+})
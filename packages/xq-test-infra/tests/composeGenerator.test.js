@@ -3,6 +3,7 @@ const path = require('path')
 const os = require('os')
 const YAML = require('yaml')
 const composeGenerator = require('../src/services/composeGenerator')
+const PortAllocator = require('../src/services/portAllocator')
 
 describe('ComposeGenerator', () => {
   let tempDir
@@ -57,6 +58,16 @@ describe('ComposeGenerator', () => {
       expect(compose.networks).toHaveProperty('xq-network')
     })
 
+    test('should write an environment manifest next to the compose file', async () => {
+      await composeGenerator.generateCompose(testSpecPath)
+
+      const manifest = await fs.readJson(path.join(process.cwd(), 'xq-env.json'))
+
+      expect(manifest.services['web-app'].url).toBe('http://localhost:8080')
+      expect(manifest.services['api-service'].internalUrl).toBe('http://api-service:3000')
+      expect(manifest.gateway.url).toBe('http://localhost:8081')
+    })
+
     test('should apply service configurations correctly', async () => {
       const composePath = await composeGenerator.generateCompose(testSpecPath)
       const composeContent = await fs.readFile(composePath, 'utf8')
@@ -85,7 +96,8 @@ describe('ComposeGenerator', () => {
       expect(gateway.networks).toEqual(['xq-network'])
       expect(gateway.depends_on).toHaveProperty('web-app')
       expect(gateway.depends_on).toHaveProperty('api-service')
-      expect(gateway.depends_on['web-app']).toEqual({ condition: 'service_started' })
+      // nginx gets an inferred healthcheck, node does not
+      expect(gateway.depends_on['web-app']).toEqual({ condition: 'service_healthy' })
       expect(gateway.depends_on['api-service']).toEqual({ condition: 'service_started' })
     })
 
@@ -256,9 +268,614 @@ describe('ComposeGenerator', () => {
       // Verify port assignment starts from global config
       expect(compose.services['api-service'].ports[0]).toBe('4000:3000')
     })
+    test('should apply profile before overrides', async () => {
+      const servicesDir = path.join(tempDir, 'profiled')
+      await fs.ensureDir(servicesDir)
+      await fs.writeFile(path.join(servicesDir, 'api.service.yml'), YAML.stringify({
+        image: 'api',
+        tag: 'latest',
+        ports: ['3000:3000'],
+        environment: { NODE_ENV: 'production' }
+      }), 'utf8')
+      await fs.writeFile(path.join(servicesDir, 'xq.config.yml'), YAML.stringify({
+        profiles: {
+          ci: { services: { api: { tag: 'ci', environment: { CI: 'true' } } } }
+        }
+      }), 'utf8')
+
+      const composePath = await composeGenerator.generateCompose(servicesDir, {
+        profile: 'ci',
+        overrides: { services: { api: { tag: 'pr-123' } } }
+      })
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+
+      expect(compose.services.api.image).toBe('api:pr-123')
+      expect(compose.services.api.environment).toEqual({ NODE_ENV: 'production', CI: 'true' })
+    })
+
+    test('should reject spec that fails schema validation', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        services: {
+          'web-app': { image: 'nginx', ports: 8080 }
+        }
+      }), 'utf8')
+
+      await expect(composeGenerator.generateCompose(testSpecPath))
+        .rejects.toThrow('services.web-app.ports: must be array')
+    })
+
+    test('should skip schema validation when disabled', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        services: {
+          'web-app': { image: 'nginx', unknownField: true }
+        }
+      }), 'utf8')
+
+      const composePath = await composeGenerator.generateCompose(testSpecPath, { validate: false })
+
+      expect(await fs.pathExists(composePath)).toBe(true)
+    })
+  })
+
+  describe('named environments', () => {
+    afterEach(async () => {
+      await fs.remove(path.join(process.cwd(), 'xq-compose.pr-42.yml'))
+      await fs.remove(path.join(process.cwd(), 'nginx-gateway.pr-42.conf'))
+      await fs.remove(path.join(process.cwd(), 'xq-env.pr-42.json'))
+      await fs.remove(path.join(process.cwd(), 'xq-state.pr-42.json'))
+    })
+
+    test('should resolve default paths without env name', () => {
+      expect(composeGenerator.getEnvironmentPaths()).toEqual({
+        envName: undefined,
+        projectName: undefined,
+        composeFile: path.join(process.cwd(), 'xq-compose.yml'),
+        nginxConfig: path.join(process.cwd(), 'nginx-gateway.conf'),
+        manifestFile: path.join(process.cwd(), 'xq-env.json'),
+        stateFile: path.join(process.cwd(), 'xq-state.json'),
+        artifactsDir: path.join(process.cwd(), 'xq-artifacts'),
+        logsDir: path.join(process.cwd(), 'xq-logs')
+      })
+    })
+
+    test('should namespace project and files by env name', () => {
+      expect(composeGenerator.getEnvironmentPaths('Feature/Login', '/work')).toEqual({
+        envName: 'feature-login',
+        projectName: 'xq-feature-login',
+        composeFile: path.join('/work', 'xq-compose.feature-login.yml'),
+        nginxConfig: path.join('/work', 'nginx-gateway.feature-login.conf'),
+        manifestFile: path.join('/work', 'xq-env.feature-login.json'),
+        stateFile: path.join('/work', 'xq-state.feature-login.json'),
+        artifactsDir: path.join('/work', 'xq-artifacts.feature-login'),
+        logsDir: path.join('/work', 'xq-logs.feature-login')
+      })
+    })
+
+    test('should reject env names without valid characters', () => {
+      expect(() => composeGenerator.normalizeEnvName('///')).toThrow('Invalid environment name')
+    })
+
+    test('should derive a stable port offset per env name', () => {
+      const offset = composeGenerator.derivePortOffset('pr-42')
+
+      expect(offset).toBe(composeGenerator.derivePortOffset('pr-42'))
+      expect(offset % 100).toBe(0)
+      expect(offset).toBeGreaterThanOrEqual(100)
+      expect(offset).toBeLessThanOrEqual(5000)
+    })
+
+    test('should shift host ports only', () => {
+      expect(composeGenerator.offsetPorts(['5432:5432', '80', '127.0.0.1:8080:80', '3000-3001:3000-3001/tcp'], 100))
+        .toEqual(['5532:5432', '80', '127.0.0.1:8180:80', '3100-3101:3000-3001/tcp'])
+    })
+
+    test('should keep mappings without a numeric host port', () => {
+      expect(composeGenerator.offsetPorts(['127.0.0.1::80', ':80', '${WEB_PORT}:80', '127.0.0.1:8080:80'], 100))
+        .toEqual(['127.0.0.1::80', ':80', '${WEB_PORT}:80', '127.0.0.1:8180:80'])
+    })
+
+    test('should generate namespaced compose file, network and ports', async () => {
+      const composePath = await composeGenerator.generateCompose(testSpecPath, { envName: 'pr-42', portOffset: 1000 })
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+
+      expect(composePath).toBe(path.join(process.cwd(), 'xq-compose.pr-42.yml'))
+      expect(compose.networks['xq-network']).toEqual({ driver: 'bridge', name: 'xq-pr-42-network' })
+      expect(compose.services['web-app'].ports).toEqual(['9080:80'])
+      expect(compose.services['api-service'].ports).toEqual(['4000:3000'])
+      expect(compose.services['xq-gateway'].ports).toEqual(['9081:80'])
+      expect(compose.services['xq-gateway'].volumes).toEqual([
+        `${path.join(process.cwd(), 'nginx-gateway.pr-42.conf')}:/etc/nginx/nginx.conf:ro`
+      ])
+    })
+
+    test('should apply derived offset to auto-assigned ports', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        portRange: { start: 3000 },
+        services: { api: { image: 'api', port: 8000 } }
+      }), 'utf8')
+
+      const composePath = await composeGenerator.generateCompose(testSpecPath, { envName: 'pr-42', gateway: false })
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+      const offset = composeGenerator.derivePortOffset('pr-42')
+
+      expect(compose.services.api.ports).toEqual([`${3000 + offset}:8000`])
+    })
+  })
+
+  describe('labels, restart and networks', () => {
+    test('should pass labels and restart policy through', () => {
+      const result = composeGenerator.convertServiceToCompose({
+        image: 'api',
+        labels: { team: 'xq' },
+        restart: 'unless-stopped'
+      })
+
+      expect(result.labels).toEqual({ team: 'xq' })
+      expect(result.restart).toBe('unless-stopped')
+    })
+
+    test('should join extra networks declared as external', async () => {
+      const spec = {
+        services: {
+          api: { image: 'api', networks: ['shared-infra'] },
+          db: { image: 'postgres' }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.api.networks).toEqual(['xq-network', 'shared-infra'])
+      expect(compose.services.db.networks).toEqual(['xq-network'])
+      expect(compose.networks['shared-infra']).toEqual({ external: true })
+    })
+
+    test('should apply defaults in a single-file spec', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        defaults: { tag: 'ci', restart: 'on-failure:3' },
+        services: { api: { image: 'api' } }
+      }), 'utf8')
+
+      const spec = await composeGenerator.readXQSpec(testSpecPath)
+
+      expect(spec).toEqual({ services: { api: { image: 'api', tag: 'ci', restart: 'on-failure:3' } } })
+    })
+  })
+
+  describe('health shorthand', () => {
+    test('should expand http checks on the service port', () => {
+      const result = composeGenerator.convertServiceToCompose({ image: 'api', port: 3000, health: { http: '/health' } })
+
+      expect(result.healthcheck).toEqual({
+        test: ['CMD-SHELL', 'wget -q --spider http://localhost:3000/health || curl -fsS -o /dev/null http://localhost:3000/health || exit 1'],
+        interval: '5s',
+        timeout: '3s',
+        retries: 10,
+        start_period: '5s'
+      })
+    })
+
+    test('should use the container port of manual mappings for http checks', () => {
+      const result = composeGenerator.convertServiceToCompose({ image: 'web', ports: ['8080:80'], health: { http: '/' } })
+
+      expect(result.healthcheck.test[1]).toContain('http://localhost:80/')
+    })
+
+    test('should expand tcp checks', () => {
+      const result = composeGenerator.convertServiceToCompose({ image: 'postgres', health: { tcp: 5432, retries: 30 } })
+
+      expect(result.healthcheck.test).toEqual(['CMD-SHELL', 'nc -z localhost 5432 || bash -c \'exec 3<>/dev/tcp/localhost/5432\' || exit 1'])
+      expect(result.healthcheck.retries).toBe(30)
+    })
+
+    test('should expand command checks', () => {
+      expect(composeGenerator.expandHealth({ command: 'pg_isready -U app' }).test).toEqual(['CMD-SHELL', 'pg_isready -U app'])
+      expect(composeGenerator.expandHealth({ command: ['redis-cli', 'ping'] }).test).toEqual(['CMD', 'redis-cli', 'ping'])
+    })
+
+    test('should carry the readiness timeout as an extension field', () => {
+      const result = composeGenerator.convertServiceToCompose({ image: 'api', health: { command: 'true', wait_timeout: '3m' } })
+
+      expect(result['x-xq-wait-timeout']).toBe('3m')
+      expect(result.healthcheck).not.toHaveProperty('wait_timeout')
+    })
+
+    test('should reject health combined with healthcheck', async () => {
+      const spec = {
+        services: { api: { image: 'api', health: { tcp: 80 }, healthcheck: { test: ['CMD', 'true'] } } }
+      }
+
+      await expect(composeGenerator.generateComposeObject(spec, false))
+        .rejects.toThrow('Service \'api\': use either health or healthcheck, not both')
+    })
+
+    test('should make the gateway wait for healthy services', async () => {
+      const spec = {
+        services: {
+          api: { image: 'api', port: 3000, health: { http: '/health' } },
+          worker: { image: 'worker' }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, true)
+
+      expect(compose.services['xq-gateway'].depends_on).toEqual({
+        api: { condition: 'service_healthy' },
+        worker: { condition: 'service_started' }
+      })
+    })
+  })
+
+  describe('healthcheck inference', () => {
+    test('should infer pg_isready from POSTGRES_* environment', async () => {
+      const spec = {
+        services: {
+          db: { image: 'postgres', tag: '15', environment: { POSTGRES_USER: 'todo', POSTGRES_DB: 'todos' } }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.db.healthcheck).toEqual({
+        test: ['CMD-SHELL', 'pg_isready -h localhost -U todo -d todos'],
+        interval: '2s',
+        timeout: '3s',
+        retries: 30,
+        start_period: '5s'
+      })
+    })
+
+    test('should keep an explicit healthcheck', async () => {
+      const spec = {
+        services: { cache: { image: 'redis', healthcheck: { disable: true } } }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.cache.healthcheck).toEqual({ disable: true })
+    })
+
+    test('should apply rules from xq.config.yml and honour infer: false', async () => {
+      const spec = {
+        healthchecks: {
+          rules: [
+            { image: 'confluentinc/cp-*', health: { tcp: 9092 } },
+            { image: 'redis', health: false }
+          ]
+        },
+        services: {
+          kafka: { image: 'confluentinc/cp-kafka' },
+          cache: { image: 'redis' }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.kafka.healthcheck.test[1]).toContain('nc -z localhost 9092')
+      expect(compose.services.cache).not.toHaveProperty('healthcheck')
+
+      const disabled = await composeGenerator.generateComposeObject({ ...spec, healthchecks: { infer: false } }, false)
+      expect(disabled.services.kafka).not.toHaveProperty('healthcheck')
+    })
+  })
+
+  describe('build', () => {
+    test('should pass the build section through', () => {
+      const build = { context: '/src/api', dockerfile: 'Dockerfile.test', args: { NODE_VERSION: '20' }, target: 'production' }
+
+      expect(composeGenerator.convertServiceToCompose({ image: 'api', build }).build).toEqual(build)
+      expect(composeGenerator.convertServiceToCompose({ image: 'api', build: '/src/api' }).build).toEqual({ context: '/src/api' })
+    })
+
+    test('should resolve build contexts against the spec file', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        services: { api: { image: 'api', build: { context: './api', dockerfile: 'Dockerfile' } } }
+      }), 'utf8')
+
+      const spec = await composeGenerator.readXQSpec(testSpecPath)
+
+      expect(spec.services.api.build).toEqual({ context: path.join(tempDir, 'api'), dockerfile: 'Dockerfile' })
+    })
+  })
+
+  describe('jobs', () => {
+    const spec = {
+      services: {
+        postgres: { image: 'postgres' },
+        'db-migrate': {
+          role: 'job',
+          image: 'postgres',
+          command: ['psql', '-f', '/migrations/001.sql'],
+          depends_on: { postgres: { condition: 'service_healthy' } }
+        },
+        api: { image: 'api', port: 3000, depends_on: ['postgres', 'db-migrate'] }
+      }
+    }
+
+    test('should mark jobs and keep them from restarting', async () => {
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services['db-migrate']['x-xq-role']).toBe('job')
+      expect(compose.services['db-migrate'].restart).toBe('no')
+      expect(compose.services['db-migrate']).not.toHaveProperty('healthcheck')
+    })
+
+    test('should make dependents wait for jobs to complete', async () => {
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.api.depends_on).toEqual({
+        postgres: { condition: 'service_started' },
+        'db-migrate': { condition: 'service_completed_successfully' }
+      })
+    })
+
+    test('should mark test runners and leave them out of the gateway', async () => {
+      const compose = await composeGenerator.generateComposeObject({
+        services: {
+          api: { image: 'api', port: 3000 },
+          'e2e-tests': { role: 'test', image: 'nginx', depends_on: ['api'] }
+        }
+      }, true, false, { nginxConfig: path.join(tempDir, 'nginx-gateway.conf') })
+
+      expect(compose.services['e2e-tests']).toEqual(expect.objectContaining({ 'x-xq-role': 'test', restart: 'no' }))
+      expect(compose.services['e2e-tests']).not.toHaveProperty('healthcheck')
+      expect(Object.keys(compose.services['xq-gateway'].depends_on)).toEqual(['api'])
+    })
+
+    test('should pass artifacts of test runners to the compose file', async () => {
+      const compose = await composeGenerator.generateComposeObject({
+        services: {
+          'e2e-tests': { role: 'test', image: 'tests', artifacts: ['/app/reports', '/app/junit.xml'] }
+        }
+      }, false)
+
+      expect(compose.services['e2e-tests']['x-xq-artifacts']).toEqual(['/app/reports', '/app/junit.xml'])
+    })
+
+    test('should reject artifacts on services that are not test runners', async () => {
+      await expect(composeGenerator.generateComposeObject({
+        services: { api: { image: 'api', artifacts: ['/logs'] } }
+      }, false)).rejects.toThrow('Service \'api\': artifacts are only collected from services with role: test')
+    })
+
+    test('should reject artifacts that would be copied to the same name', async () => {
+      await expect(composeGenerator.generateComposeObject({
+        services: { 'e2e-tests': { role: 'test', image: 'tests', artifacts: ['/a/reports', '/b/reports/'] } }
+      }, false)).rejects.toThrow('Service \'e2e-tests\': artifacts \'/a/reports\' and \'/b/reports/\' would both be copied to \'reports\'')
+    })
+
+    test('should leave jobs out of the gateway', async () => {
+      const nginxConfig = path.join(tempDir, 'nginx-gateway.conf')
+      const compose = await composeGenerator.generateComposeObject(spec, true, false, { nginxConfig })
+
+      expect(Object.keys(compose.services['xq-gateway'].depends_on)).toEqual(['postgres', 'api'])
+      expect(await fs.readFile(nginxConfig, 'utf8')).not.toContain('db-migrate')
+    })
+  })
+
+  describe('host port allocation', () => {
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should skip auto ports already bound on the host', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockImplementation(async port => port !== 4000 && port !== 8080)
+      const spec = {
+        portRange: { start: 4000 },
+        services: {
+          api: { image: 'api', port: 3000 },
+          worker: { image: 'worker', port: 3000 }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, true)
+
+      expect(compose.services.api.ports).toEqual(['4001:3000'])
+      expect(compose.services.worker.ports).toEqual(['4002:3000'])
+      expect(compose.services['xq-gateway'].ports).toEqual(['8081:80'])
+    })
+
+    test('should not hand out manual ports declared by later services', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      const spec = {
+        portRange: { start: 4000 },
+        services: {
+          api: { image: 'api', port: 3000 },
+          db: { image: 'postgres', ports: ['4000:5432'] }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.api.ports).toEqual(['4001:3000'])
+    })
+
+    test('should fail when portRange is exhausted', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      const spec = {
+        portRange: { start: 4000, end: 4000 },
+        services: {
+          api: { image: 'api', port: 3000 },
+          worker: { image: 'worker', port: 3000 }
+        }
+      }
+
+      await expect(composeGenerator.generateComposeObject(spec, false))
+        .rejects.toThrow('No free host port available in range 4000-4000')
+    })
+
+    test('should report manual port clashes between services', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        services: {
+          'web-app': { image: 'nginx', ports: ['8080:80'] },
+          admin: { image: 'nginx', ports: ['8080:8080'] }
+        }
+      }), 'utf8')
+
+      await expect(composeGenerator.generateCompose(testSpecPath))
+        .rejects.toThrow('Port conflict: host port 8080 is used by both \'web-app\' and \'admin\'')
+    })
+
+    test('should use the gateway port pinned in xq.config.yml', async () => {
+      const servicesDir = path.join(tempDir, 'pinned')
+      await fs.ensureDir(servicesDir)
+      await fs.writeFile(path.join(servicesDir, 'api.service.yml'), YAML.stringify({
+        image: 'api',
+        ports: ['3000:3000']
+      }), 'utf8')
+      await fs.writeFile(path.join(servicesDir, 'xq.config.yml'), YAML.stringify({
+        gateway: { port: 9999 }
+      }), 'utf8')
+
+      const composePath = await composeGenerator.generateCompose(servicesDir)
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+
+      expect(compose.services['xq-gateway'].ports).toEqual(['9999:80'])
+    })
+
+    test('should reject a pinned gateway port used by a service', async () => {
+      const spec = {
+        gateway: { port: 3000 },
+        services: { api: { image: 'api', ports: ['3000:3000'] } }
+      }
+
+      await expect(composeGenerator.generateComposeObject(spec, true))
+        .rejects.toThrow('Port conflict: host port 3000 is used by both \'api\' and \'xq-gateway\'')
+    })
+  })
+
+  describe('workspace', () => {
+    test('should record the spec and project name in the state file', async () => {
+      await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir })
+
+      const state = await fs.readJson(path.join(tempDir, 'xq-state.json'))
+
+      expect(state).toEqual({
+        version: 1,
+        spec: testSpecPath,
+        projectName: path.basename(process.cwd()).toLowerCase().replace(/[^a-z0-9_-]/g, '')
+      })
+    })
+
+    test('should record the project of a named environment', async () => {
+      await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir, envName: 'pr-7' })
+
+      const state = await fs.readJson(path.join(tempDir, 'xq-state.pr-7.json'))
+
+      expect(state).toMatchObject({ spec: testSpecPath, envName: 'pr-7', projectName: 'xq-pr-7' })
+    })
+
+    test('should write the other files next to an explicit compose file', async () => {
+      const composeFile = path.join(tempDir, 'env', 'compose.yml')
+
+      const result = await composeGenerator.generateCompose(testSpecPath, { composeFile })
+
+      expect(result).toBe(composeFile)
+      expect(await fs.pathExists(composeFile)).toBe(true)
+      expect(await fs.pathExists(path.join(tempDir, 'env', 'xq-env.json'))).toBe(true)
+      expect(await fs.pathExists(path.join(tempDir, 'env', 'nginx-gateway.conf'))).toBe(true)
+      expect(await fs.pathExists(path.join(tempDir, 'env', 'xq-state.json'))).toBe(true)
+    })
+
+    test('should make relative bind mounts absolute', () => {
+      const volumes = composeGenerator.resolveVolumePaths([
+        './data:/data',
+        '../shared:/shared:ro',
+        'named-volume:/var/lib/data',
+        '/abs:/abs',
+        { type: 'bind', source: './config', target: '/config' },
+        { type: 'volume', source: 'cache', target: '/cache' }
+      ], '/work/project')
+
+      expect(volumes).toEqual([
+        '/work/project/data:/data',
+        '/work/shared:/shared:ro',
+        'named-volume:/var/lib/data',
+        '/abs:/abs',
+        { type: 'bind', source: '/work/project/config', target: '/config' },
+        { type: 'volume', source: 'cache', target: '/cache' }
+      ])
+    })
+  })
+
+  describe('reuse', () => {
+    const readCompose = async file => YAML.parse(await fs.readFile(file, 'utf8'))
+
+    beforeEach(async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        portRange: { start: 4000 },
+        services: {
+          api: { image: 'api', port: 3000 },
+          worker: { image: 'worker', port: 3000 }
+        }
+      }), 'utf8')
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should keep the host ports of the previous compose file', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      const first = await readCompose(await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir, reuse: true }))
+
+      // The running environment holds its ports now
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(false)
+      const second = await readCompose(await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir, reuse: true }))
+
+      expect(second.services.api.ports).toEqual(first.services.api.ports)
+      expect(second.services.worker.ports).toEqual(first.services.worker.ports)
+      expect(second.services['xq-gateway'].ports).toEqual(first.services['xq-gateway'].ports)
+      expect(second).toEqual(first)
+    })
+
+    test('should not hand out a kept port to another service', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      await fs.outputFile(path.join(tempDir, 'xq-compose.yml'), YAML.stringify({
+        services: { worker: { image: 'worker:latest', ports: ['4000:3000'] } }
+      }))
+
+      const compose = await readCompose(await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir, reuse: true }))
+
+      expect(compose.services.api.ports).toEqual(['4001:3000'])
+      expect(compose.services.worker.ports).toEqual(['4000:3000'])
+    })
+
+    test('should label services with a config hash that changes with the config', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      const first = await readCompose(await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir, reuse: true }))
+      const second = await readCompose(await composeGenerator.generateCompose(testSpecPath, {
+        baseDir: tempDir,
+        reuse: true,
+        set: ['services.api.tag=pr-7']
+      }))
+
+      expect(first.services.api.labels['xq.config-hash']).toMatch(/^[0-9a-f]{16}$/)
+      expect(second.services.api.labels['xq.config-hash']).not.toBe(first.services.api.labels['xq.config-hash'])
+      expect(second.services.worker.labels['xq.config-hash']).toBe(first.services.worker.labels['xq.config-hash'])
+      // The gateway routes to api by name only, so its config is unchanged
+      expect(second.services['xq-gateway'].labels['xq.config-hash']).toBe(first.services['xq-gateway'].labels['xq.config-hash'])
+    })
+
+    test('should not label services without reuse', async () => {
+      jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+      const compose = await readCompose(await composeGenerator.generateCompose(testSpecPath, { baseDir: tempDir }))
+
+      expect(compose.services.api.labels).toBeUndefined()
+    })
   })
 
   describe('readXQSpec', () => {
+    test('should resolve templates and extends in a single-file spec', async () => {
+      await fs.writeFile(testSpecPath, YAML.stringify({
+        templates: { base: { tag: '1.0', environment: { NODE_ENV: 'test' } } },
+        services: { api: { extends: 'base', image: 'api' } }
+      }), 'utf8')
+
+      const spec = await composeGenerator.readXQSpec(testSpecPath)
+
+      expect(spec).toEqual({ services: { api: { image: 'api', tag: '1.0', environment: { NODE_ENV: 'test' } } } })
+    })
+
     test('should read and parse valid YAML spec from file', async () => {
       const spec = await composeGenerator.readXQSpec(testSpecPath)
       expect(spec).toEqual(testSpec)
@@ -346,6 +963,20 @@ describe('ComposeGenerator', () => {
       expect(spec.dependencies).toEqual({ database: ['postgres'] })
     })
 
+    test('should interpolate variables in single-file spec using adjacent .env', async () => {
+      await fs.writeFile(testSpecPath, 'services:\n  web-app:\n    image: nginx\n    tag: ${WEB_TAG:-stable}\n    ports: ["${WEB_PORT}:80"]\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, '.env'), 'WEB_PORT=9090\n', 'utf8')
+
+      const spec = await composeGenerator.readXQSpec(testSpecPath)
+
+      expect(spec.services['web-app']).toEqual({ image: 'nginx', tag: 'stable', ports: ['9090:80'] })
+    })
+
+    test('should reject profile for single-file spec', async () => {
+      await expect(composeGenerator.readXQSpec(testSpecPath, { profile: 'ci' }))
+        .rejects.toThrow('Profiles are defined in xq.config.yml and require a service directory')
+    })
+
     test('should throw error for non-existent path', async () => {
       const nonExistentPath = path.join(tempDir, 'non-existent')
       await expect(composeGenerator.readXQSpec(nonExistentPath))
@@ -383,6 +1014,263 @@ describe('ComposeGenerator', () => {
       const result = composeGenerator.applyOverrides(testSpec, {})
       expect(result).toEqual(testSpec)
     })
+
+    test('should deep merge environment instead of replacing it', () => {
+      const result = composeGenerator.applyOverrides(testSpec, {
+        services: { 'web-app': { environment: { DEBUG: 'true' } } }
+      })
+
+      expect(result.services['web-app'].environment).toEqual({ NODE_ENV: 'test', DEBUG: 'true' })
+    })
+
+    test('should merge into list-form environment and labels key by key', () => {
+      const spec = {
+        services: {
+          api: { image: 'api', environment: ['A=1', 'B=2'], labels: ['team=core', 'tier=backend'] },
+          worker: { image: 'worker', environment: ['A=1'] }
+        }
+      }
+
+      const result = composeGenerator.applyOverrides(spec, {
+        services: { api: { environment: { B: '3' }, labels: ['tier=api'] } }
+      })
+
+      expect(result.services.api.environment).toEqual({ A: '1', B: '3' })
+      expect(result.services.api.labels).toEqual({ team: 'core', tier: 'api' })
+      // Services that are not patched keep their form
+      expect(result.services.worker.environment).toEqual(['A=1'])
+    })
+
+    test('should merge --set environment values into list-form environment', () => {
+      const spec = { services: { api: { image: 'api', environment: ['A=1', 'B=2'] } } }
+
+      const result = composeGenerator.applyOverrides(spec, composeGenerator.parseSetOverrides(['services.api.environment.B=3']))
+
+      expect(result.services.api.environment).toEqual({ A: '1', B: '3' })
+    })
+
+    test('should add new services', () => {
+      const result = composeGenerator.applyOverrides(testSpec, {
+        services: { redis: { image: 'redis', tag: '7' } }
+      })
+
+      expect(result.services.redis).toEqual({ image: 'redis', tag: '7' })
+      expect(result.services['web-app']).toEqual(testSpec.services['web-app'])
+    })
+
+    test('should reject new services without an image', () => {
+      expect(() => composeGenerator.applyOverrides(testSpec, {
+        services: { redis: { tag: '7' } }
+      })).toThrow('Override adds service \'redis\' without an image')
+    })
+
+    test('should remove services and keys set to null', () => {
+      const result = composeGenerator.applyOverrides(testSpec, {
+        services: {
+          'api-service': null,
+          'web-app': { environment: { NODE_ENV: null } }
+        }
+      })
+
+      expect(result.services).not.toHaveProperty('api-service')
+      expect(result.services['web-app'].environment).toEqual({})
+    })
+
+    test('should reject removing a service that others depend on', () => {
+      const spec = {
+        services: {
+          api: { image: 'api', depends_on: ['db'] },
+          db: { image: 'postgres' }
+        }
+      }
+
+      expect(() => composeGenerator.applyOverrides(spec, { services: { db: null } }))
+        .toThrow('Service \'api\' depends on non-existent service \'db\'')
+    })
+
+    test('should reject removing a service that others reach through a dependency group', () => {
+      const spec = {
+        dependencies: { database: ['db'] },
+        services: {
+          api: { image: 'api', dependencyGroups: ['database'] },
+          db: { image: 'postgres' }
+        }
+      }
+
+      expect(() => composeGenerator.applyOverrides(spec, { services: { db: null } }))
+        .toThrow('Override removes service \'db\' required by \'api\' through dependency group \'database\'')
+      // Removing the dependent as well is fine
+      expect(Object.keys(composeGenerator.applyOverrides(spec, { services: { db: null, api: null } }).services)).toEqual([])
+    })
+
+    test('should support list strategies', () => {
+      const result = composeGenerator.applyOverrides(testSpec, {
+        services: {
+          'web-app': { ports: { $append: ['8443:443'] } },
+          'api-service': { ports: ['4000:3000'] }
+        }
+      })
+
+      expect(result.services['web-app'].ports).toEqual(['8080:80', '8443:443'])
+      expect(result.services['api-service'].ports).toEqual(['4000:3000'])
+    })
+  })
+
+  describe('parseSetOverrides', () => {
+    test('should build nested overrides from dotted keys', () => {
+      const result = composeGenerator.parseSetOverrides([
+        'services.todo-write-service.tag=pr-123',
+        'services.postgres.environment.POSTGRES_DB=x'
+      ])
+
+      expect(result).toEqual({
+        services: {
+          'todo-write-service': { tag: 'pr-123' },
+          postgres: { environment: { POSTGRES_DB: 'x' } }
+        }
+      })
+    })
+
+    test('should parse typed values', () => {
+      const result = composeGenerator.parseSetOverrides([
+        'services.api.port=3001',
+        'services.api.autoPort=false',
+        'services.api.ports=["8080:80", "8443:443"]',
+        'services.debug=null',
+        'services.api.command='
+      ])
+
+      expect(result.services.api).toEqual({
+        port: 3001,
+        autoPort: false,
+        ports: ['8080:80', '8443:443'],
+        command: ''
+      })
+      expect(result.services.debug).toBeNull()
+    })
+
+    test('should keep environment values as strings', () => {
+      const result = composeGenerator.parseSetOverrides([
+        'services.api.environment.DEBUG=true',
+        'services.api.environment.PORT=3000'
+      ])
+
+      expect(result.services.api.environment).toEqual({ DEBUG: 'true', PORT: '3000' })
+    })
+
+    test('should keep version-like values exactly as typed', () => {
+      const result = composeGenerator.parseSetOverrides([
+        'services.api.tag=1.10',
+        'services.web.tag=2.0',
+        'services.api.environment.VERSION=1.10',
+        'services.api.labels.release=2.0',
+        'services.api.image=1.20'
+      ])
+
+      expect(result.services.api).toEqual({
+        tag: '1.10',
+        image: '1.20',
+        environment: { VERSION: '1.10' },
+        labels: { release: '2.0' }
+      })
+      expect(result.services.web.tag).toBe('2.0')
+    })
+
+    test('should still delete string fields set to null', () => {
+      const result = composeGenerator.parseSetOverrides(['services.api.tag=null', 'services.api.environment.DEBUG=null'])
+
+      expect(result.services.api).toEqual({ tag: null, environment: { DEBUG: null } })
+    })
+
+    test('should not parse environment values and string fields as YAML', () => {
+      const result = composeGenerator.parseSetOverrides([
+        'services.api.environment.TOKEN=#abc',
+        'services.api.environment.X=a: b',
+        'services.api.labels.note=[draft]',
+        'services.api.tag=#1',
+        'services.api.environment.EMPTY='
+      ])
+
+      expect(result.services.api).toEqual({
+        tag: '#1',
+        environment: { TOKEN: '#abc', X: 'a: b', EMPTY: '' },
+        labels: { note: '[draft]' }
+      })
+    })
+
+    test('should keep parsing whole environment maps', () => {
+      const result = composeGenerator.parseSetOverrides(['services.api.environment={DEBUG: "1"}'])
+
+      expect(result.services.api.environment).toEqual({ DEBUG: '1' })
+    })
+
+    test('should generate the image with the tag as typed', async () => {
+      const composePath = await composeGenerator.generateCompose(testSpecPath, {
+        baseDir: tempDir,
+        set: ['services.web-app.tag=1.10']
+      })
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+
+      expect(compose.services['web-app'].image).toBe('nginx:1.10')
+    })
+
+    test('should append with +=', () => {
+      const result = composeGenerator.parseSetOverrides(['services.api.volumes+=./data:/data'])
+
+      expect(result.services.api.volumes).toEqual({ $append: ['./data:/data'] })
+    })
+
+    test('should support escaped dots in keys', () => {
+      const result = composeGenerator.parseSetOverrides(['services.api\\.v2.tag=1'])
+
+      expect(result.services).toHaveProperty(['api.v2', 'tag'], '1')
+    })
+
+    test('should reject invalid expressions', () => {
+      expect(() => composeGenerator.parseSetOverrides(['services.api.tag']))
+        .toThrow('Invalid --set expression \'services.api.tag\': expected key=value')
+      expect(() => composeGenerator.parseSetOverrides(['services..tag=1']))
+        .toThrow('empty key segment')
+    })
+
+    test('should apply --set on top of overrides file in generateCompose', async () => {
+      const composePath = await composeGenerator.generateCompose(testSpecPath, {
+        overrides: { services: { 'web-app': { tag: 'from-file', environment: { A: '1' } } } },
+        set: ['services.web-app.tag=pr-123', 'services.web-app.environment.B=2']
+      })
+      const compose = YAML.parse(await fs.readFile(composePath, 'utf8'))
+
+      expect(compose.services['web-app'].image).toBe('nginx:pr-123')
+      expect(compose.services['web-app'].environment).toEqual({ NODE_ENV: 'test', A: '1', B: '2' })
+    })
+  })
+
+  describe('loadOverrides', () => {
+    test('should load JSON overrides', async () => {
+      const overridesPath = path.join(tempDir, 'overrides.json')
+      await fs.writeFile(overridesPath, JSON.stringify({ services: { 'web-app': { tag: 'dev' } } }), 'utf8')
+
+      const overrides = await composeGenerator.loadOverrides(overridesPath)
+
+      expect(overrides).toEqual({ services: { 'web-app': { tag: 'dev' } } })
+    })
+
+    test('should load YAML overrides', async () => {
+      const overridesPath = path.join(tempDir, 'overrides.yml')
+      await fs.writeFile(overridesPath, 'services:\n  web-app:\n    tag: dev\n  api-service: null\n', 'utf8')
+
+      const overrides = await composeGenerator.loadOverrides(overridesPath)
+
+      expect(overrides).toEqual({ services: { 'web-app': { tag: 'dev' }, 'api-service': null } })
+    })
+
+    test('should report parse errors with file path', async () => {
+      const overridesPath = path.join(tempDir, 'overrides.json')
+      await fs.writeFile(overridesPath, '{ invalid', 'utf8')
+
+      await expect(composeGenerator.loadOverrides(overridesPath))
+        .rejects.toThrow(`Failed to parse overrides file ${overridesPath}`)
+    })
   })
 
   describe('convertServiceToCompose', () => {
@@ -424,6 +1312,67 @@ describe('ComposeGenerator', () => {
     })
   })
 
+  describe('conditional depends_on', () => {
+    test('should emit the long form when a condition is set', () => {
+      const result = composeGenerator.convertServiceToCompose({
+        image: 'api',
+        depends_on: { migrate: { condition: 'service_completed_successfully' }, cache: {} }
+      })
+
+      expect(result.depends_on).toEqual({
+        migrate: { condition: 'service_completed_successfully' },
+        cache: { condition: 'service_started' }
+      })
+    })
+
+    test('should apply a group condition to every member', () => {
+      const centralizedDeps = { database: ['postgres', 'redis'], messaging: ['rabbitmq'] }
+      const result = composeGenerator.convertServiceToCompose({
+        image: 'api',
+        dependencyGroups: { database: { condition: 'service_healthy' }, messaging: {} },
+        depends_on: ['redis']
+      }, centralizedDeps)
+
+      expect(result.depends_on).toEqual({
+        postgres: { condition: 'service_healthy' },
+        rabbitmq: { condition: 'service_started' },
+        redis: { condition: 'service_started' }
+      })
+    })
+
+    test('should accept long-form group definitions', () => {
+      const centralizedDeps = { database: { postgres: { condition: 'service_healthy' } } }
+      const result = composeGenerator.convertServiceToCompose({ image: 'api', dependencyGroups: ['database'] }, centralizedDeps)
+
+      expect(result.depends_on).toEqual({ postgres: { condition: 'service_healthy' } })
+    })
+
+    test('should reject service_healthy on a service without healthcheck', async () => {
+      const spec = {
+        services: {
+          worker: { image: 'worker' },
+          api: { image: 'api', depends_on: { worker: { condition: 'service_healthy' } } }
+        }
+      }
+
+      await expect(composeGenerator.generateComposeObject(spec, false))
+        .rejects.toThrow('Service \'api\' waits for \'worker\' to be healthy, but \'worker\' has no healthcheck')
+    })
+
+    test('should accept service_healthy on an inferred healthcheck', async () => {
+      const spec = {
+        services: {
+          postgres: { image: 'postgres' },
+          api: { image: 'api', depends_on: { postgres: { condition: 'service_healthy' } } }
+        }
+      }
+
+      const compose = await composeGenerator.generateComposeObject(spec, false)
+
+      expect(compose.services.api.depends_on).toEqual({ postgres: { condition: 'service_healthy' } })
+    })
+  })
+
   describe('cleanup', () => {
     test('should clean up temp files when keepFile is false', async () => {
       const composePath = await composeGenerator.generateCompose(testSpecPath, { keepFile: false })
@@ -153,6 +153,32 @@ services:
       })
     })
 
+    test('should only forward signals while the command runs', async () => {
+      const mockChild = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'exit') {
+            setTimeout(() => callback(0, null), 10)
+          }
+        }),
+        kill: jest.fn()
+      }
+      spawn.mockReturnValue(mockChild)
+      const listeners = process.listenerCount('SIGINT')
+
+      const running = composeInvoker.execCommand('echo', ['test'])
+      expect(process.listenerCount('SIGINT')).toBe(listeners + 1)
+      await running
+      expect(process.listenerCount('SIGINT')).toBe(listeners)
+
+      const { ComposeInvoker } = composeInvoker
+      const quiet = new ComposeInvoker({ forwardSignals: false })
+      const quietRun = quiet.execCommand('echo', ['test'])
+      expect(process.listenerCount('SIGINT')).toBe(listeners)
+      await quietRun
+    })
+
     test('should reject on command failure', async () => {
       const mockChild = {
         stdout: { on: jest.fn() },
@@ -304,6 +330,55 @@ services:
         expect.any(Object)
       )
     })
+
+    test('should only start the given services without their dependencies', async () => {
+      const mockChild = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'exit') {
+            setTimeout(() => callback(0, null), 10)
+          }
+        }),
+        kill: jest.fn()
+      }
+      spawn.mockReturnValue(mockChild)
+
+      await composeInvoker.up(testComposePath, { pull: false, services: ['api', 'api-tests'] })
+
+      expect(spawn).toHaveBeenCalledWith('docker',
+        ['compose', '-f', testComposePath, 'up', '-d', '--remove-orphans', '--no-deps', '--force-recreate', 'api', 'api-tests'],
+        expect.any(Object)
+      )
+    })
+  })
+
+  describe('composeArgs', () => {
+    test('should add project name when provided', () => {
+      const cli = { command: 'docker', args: ['compose'] }
+
+      expect(composeInvoker.composeArgs(cli, testComposePath)).toEqual(['compose', '-f', testComposePath])
+      expect(composeInvoker.composeArgs(cli, testComposePath, 'xq-pr-42'))
+        .toEqual(['compose', '-f', testComposePath, '-p', 'xq-pr-42'])
+    })
+
+    test('should pass project name to up and down', async () => {
+      composeInvoker.dockerComposeCli = { command: 'docker', args: ['compose'] }
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' })
+
+      await composeInvoker.up(testComposePath, { projectName: 'xq-pr-42', pull: false })
+      await composeInvoker.down(testComposePath, { projectName: 'xq-pr-42' })
+
+      expect(execCommandSpy).toHaveBeenNthCalledWith(1, 'docker',
+        ['compose', '-f', testComposePath, '-p', 'xq-pr-42', 'up', '-d', '--remove-orphans'],
+        expect.any(Object)
+      )
+      expect(execCommandSpy).toHaveBeenNthCalledWith(2, 'docker',
+        ['compose', '-f', testComposePath, '-p', 'xq-pr-42', 'down'],
+        expect.any(Object)
+      )
+      execCommandSpy.mockRestore()
+    })
   })
 
   describe('down', () => {
@@ -382,9 +457,30 @@ services:
         expect.any(Object)
       )
     })
+
+    test('should only pull the given services', async () => {
+      const mockChild = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'exit') {
+            setTimeout(() => callback(0, null), 10)
+          }
+        }),
+        kill: jest.fn()
+      }
+      spawn.mockReturnValue(mockChild)
+
+      await composeInvoker.pull(testComposePath, { services: ['api'] })
+
+      expect(spawn).toHaveBeenCalledWith('docker',
+        ['compose', '-f', testComposePath, 'pull', 'api'],
+        expect.any(Object)
+      )
+    })
   })
 
-  describe('detectTestContainers', () => {
+  describe('guessTestContainers', () => {
     let sourceDir
 
     beforeEach(async () => {
@@ -413,7 +509,7 @@ services:
     image: regular-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, sourceDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, sourceDir)
 
       expect(testContainers).toEqual(['xq-keeper'])
     })
@@ -437,7 +533,7 @@ services:
     image: e2e-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, sourceDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, sourceDir)
 
       expect(testContainers).toContain('xq-keeper')
       expect(testContainers).toContain('e2e-test')
@@ -463,7 +559,7 @@ services:
     image: test-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, sourceDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, sourceDir)
 
       expect(testContainers.length).toBeGreaterThan(0)
       // Should match both patterns - keeper.test.yaml matches "keeper" service
@@ -486,7 +582,7 @@ services:
     image: regular-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, sourceDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, sourceDir)
 
       expect(testContainers).toEqual([])
     })
@@ -503,7 +599,7 @@ services:
     image: regular-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, null)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, null)
 
       expect(testContainers).toContain('xq-keeper')
       expect(testContainers).toContain('test-service')
@@ -520,7 +616,7 @@ services:
     image: test-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, nonExistentDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, nonExistentDir)
 
       // Should fallback to service name pattern
       expect(testContainers).toContain('xq-keeper')
@@ -539,21 +635,63 @@ services:
     image: test-image
 `, 'utf8')
 
-      const testContainers = await composeInvoker.detectTestContainers(testComposePath, sourceDir)
+      const testContainers = await composeInvoker.guessTestContainers(testComposePath, sourceDir)
 
       expect(testContainers).toContain('xq-keeper')
     })
   })
 
+  describe('detectTestContainers', () => {
+    beforeEach(async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  e2e-gateway:
+    image: gateway:latest
+  api-tests:
+    image: tests:latest
+    x-xq-role: test
+`, 'utf8')
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should use role: test and ignore names', async () => {
+      await expect(composeInvoker.detectTestContainers(testComposePath, { heuristics: true }))
+        .resolves.toEqual(['api-tests'])
+    })
+
+    test('should not guess without the heuristics option', async () => {
+      await fs.writeFile(testComposePath, 'services:\n  e2e-runner:\n    image: tests:latest\n', 'utf8')
+
+      await expect(composeInvoker.detectTestContainers(testComposePath)).resolves.toEqual([])
+    })
+
+    test('should warn when falling back to heuristics', async () => {
+      await fs.writeFile(testComposePath, 'services:\n  e2e-runner:\n    image: tests:latest\n', 'utf8')
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await expect(composeInvoker.detectTestContainers(testComposePath, { heuristics: true }))
+        .resolves.toEqual(['e2e-runner'])
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('guessed test containers from file and service names: e2e-runner'))
+    })
+  })
+
   describe('waitForTestContainers', () => {
+    // "compose ps --format json" output, one object per line
+    const psJson = (...containers) => ({
+      exitCode: 0,
+      stdout: containers.map(container => JSON.stringify(container)).join('\n'),
+      stderr: ''
+    })
+
     beforeEach(() => {
-      // Set dockerComposeCli directly to avoid calling detectDockerCompose
-      composeInvoker.dockerComposeCli = { command: 'docker', args: ['compose'] }
-      // Mock detectDockerCompose to return immediately
       jest.spyOn(composeInvoker, 'detectDockerCompose').mockResolvedValue({
         command: 'docker',
         args: ['compose']
       })
+      jest.spyOn(console, 'log').mockImplementation(() => {})
     })
 
     afterEach(() => {
@@ -563,125 +701,804 @@ services:
     test('should return true immediately when no test containers provided', async () => {
       const result = await composeInvoker.waitForTestContainers(testComposePath, [])
 
-      expect(result).toBe(true)
+      expect(result.passed).toBe(true)
     })
 
     test('should wait for containers to exit and return true on success', async () => {
-      const testContainers = ['xq-keeper']
-
-      // Mock docker compose ps output
-      // The parser splits by whitespace and takes last part, then checks if it includes "Exited"
-      // So we need the status to be in a format where the last word or the full status contains "Exited"
-      // Format: columns are space-separated, STATUS is last column
-      const mockPsOutput = `NAME                          SERVICE      STATUS
-database-xq-keeper-1         xq-keeper    Exited (0)`
-      
-      // Mock execCommand by spying on it - return immediately with exited status
-      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({
-        exitCode: 0,
-        stdout: mockPsOutput,
-        stderr: ''
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(
+        psJson({ Service: 'xq-keeper', Name: 'database-xq-keeper-1', State: 'exited', ExitCode: 0 })
+      )
+
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['xq-keeper'], {
+        timeout: 5000,
+        checkInterval: 50
       })
 
-      const result = await composeInvoker.waitForTestContainers(testComposePath, testContainers, {
+      expect(result.passed).toBe(true)
+      expect(execCommandSpy).toHaveBeenCalledWith('docker',
+        ['compose', '-f', testComposePath, 'ps', '-a', '--format', 'json'],
+        expect.any(Object))
+    }, 10000)
+
+    test('should return false and report the exit code when containers exit with non-zero code', async () => {
+      jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(
+        psJson({ Service: 'xq-keeper', Name: 'database-xq-keeper-1', State: 'exited', ExitCode: 1 })
+      )
+
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['xq-keeper'], {
         timeout: 5000,
-        checkInterval: 50 // Faster for tests
+        checkInterval: 50
       })
 
-      expect(result).toBe(true)
-      expect(execCommandSpy).toHaveBeenCalled()
+      expect(result.passed).toBe(false)
+      expect(console.log).toHaveBeenCalledWith('   - xq-keeper: exited (exit code 1)')
     }, 10000)
 
-    test('should return false when containers exit with non-zero code', async () => {
-      const testContainers = ['xq-keeper']
+    test('should treat a missing exit code as a failure', async () => {
+      jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(
+        psJson({ Service: 'tests', Name: 'p-tests-1', State: 'exited' })
+      )
 
-      // Mock docker compose ps output showing container exited with error
-      const mockPsOutput = `NAME                          SERVICE      STATUS
-database-xq-keeper-1         xq-keeper    Exited (1)`
-      
-      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({
-        exitCode: 0,
-        stdout: mockPsOutput,
-        stderr: ''
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['tests'], {
+        timeout: 5000,
+        checkInterval: 50
       })
 
-      const result = await composeInvoker.waitForTestContainers(testComposePath, testContainers, {
+      expect(result.passed).toBe(false)
+      expect(console.log).toHaveBeenCalledWith('   - tests: exited (exit code unknown)')
+    }, 10000)
+
+    test('should match services by exact name, not by substring', async () => {
+      // "api-tests" has exited but "api-tests-e2e" is still running
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce(psJson(
+          { Service: 'api-tests', Name: 'p-api-tests-1', State: 'exited', ExitCode: 0 },
+          { Service: 'api-tests-e2e', Name: 'p-api-tests-e2e-1', State: 'running' }
+        ))
+        .mockResolvedValue(psJson(
+          { Service: 'api-tests', Name: 'p-api-tests-1', State: 'exited', ExitCode: 0 },
+          { Service: 'api-tests-e2e', Name: 'p-api-tests-e2e-1', State: 'exited', ExitCode: 3 }
+        ))
+
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['api-tests', 'api-tests-e2e'], {
         timeout: 5000,
         checkInterval: 50
       })
 
-      expect(result).toBe(false)
+      expect(result.passed).toBe(false)
+      expect(execCommandSpy).toHaveBeenCalledTimes(2)
+      expect(console.log).toHaveBeenCalledWith('   - api-tests-e2e: exited (exit code 3)')
     }, 10000)
 
     test('should handle containers still running', async () => {
-      const testContainers = ['xq-keeper']
-
-      // First call: container running, second call: container exited
-      let callCount = 0
-      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockImplementation(() => {
-        callCount++
-        if (callCount === 1) {
-          return Promise.resolve({
-            exitCode: 0,
-            stdout: `NAME                          SERVICE      STATUS
-database-xq-keeper-1         xq-keeper    Up`,
-            stderr: ''
-          })
-        } else {
-          return Promise.resolve({
-            exitCode: 0,
-            stdout: `NAME                          SERVICE      STATUS
-database-xq-keeper-1         xq-keeper    Exited (0)`,
-            stderr: ''
-          })
-        }
-      })
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce(psJson({ Service: 'xq-keeper', Name: 'database-xq-keeper-1', State: 'running' }))
+        .mockResolvedValue(psJson({ Service: 'xq-keeper', Name: 'database-xq-keeper-1', State: 'exited', ExitCode: 0 }))
 
-      const result = await composeInvoker.waitForTestContainers(testComposePath, testContainers, {
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['xq-keeper'], {
         timeout: 5000,
         checkInterval: 50
       })
 
-      expect(result).toBe(true)
+      expect(result.passed).toBe(true)
       expect(execCommandSpy).toHaveBeenCalledTimes(2)
     }, 10000)
 
-    test('should timeout when containers do not exit', async () => {
-      const testContainers = ['xq-keeper']
-
-      // Mock container always running
-      const mockPsOutput = `NAME                          SERVICE      STATUS
-database-xq-keeper-1         xq-keeper    Up`
-      
-      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({
-        exitCode: 0,
-        stdout: mockPsOutput,
-        stderr: ''
-      })
+    test('should timeout and report the last state when containers do not exit', async () => {
+      jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(
+        psJson({ Service: 'xq-keeper', Name: 'database-xq-keeper-1', State: 'restarting' })
+      )
 
-      const result = await composeInvoker.waitForTestContainers(testComposePath, testContainers, {
-        timeout: 500, // Short timeout for test
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['xq-keeper', 'other-tests'], {
+        timeout: 500,
         checkInterval: 100
       })
 
-      expect(result).toBe(false)
+      expect(result.passed).toBe(false)
+      expect(console.log).toHaveBeenCalledWith('   - xq-keeper: restarting')
+      expect(console.log).toHaveBeenCalledWith('   - other-tests: not created')
     }, 10000)
 
     test('should handle ps command failures gracefully', async () => {
-      const testContainers = ['xq-keeper']
-
-      // Mock ps command failure
-      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockRejectedValue(
+      jest.spyOn(composeInvoker, 'execCommand').mockRejectedValue(
         new Error('Command failed with exit code 1')
       )
 
-      const result = await composeInvoker.waitForTestContainers(testComposePath, testContainers, {
+      const result = await composeInvoker.waitForTestContainers(testComposePath, ['xq-keeper'], {
         timeout: 500,
         checkInterval: 100
       })
 
       // Should timeout since ps command fails
-      expect(result).toBe(false)
+      expect(result.passed).toBe(false)
+      expect(result.failures).toEqual([{ service: 'xq-keeper', reason: 'not finished after 0.5s' }])
     }, 10000)
+
+    describe('crashed services', () => {
+      beforeEach(async () => {
+        await fs.writeFile(testComposePath, `
+services:
+  db:
+    image: postgres:16
+  api:
+    image: api:latest
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+  api-tests:
+    image: tests:latest
+    x-xq-role: test
+`, 'utf8')
+      })
+
+      test('should abort as soon as a service exits', async () => {
+        const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(psJson(
+          { Service: 'db', Name: 'p-db-1', State: 'exited', ExitCode: 137 },
+          { Service: 'api', Name: 'p-api-1', State: 'running' },
+          { Service: 'api-tests', Name: 'p-api-tests-1', State: 'running' }
+        ))
+
+        const result = await composeInvoker.waitForTestContainers(testComposePath, ['api-tests'], {
+          timeout: 5000,
+          checkInterval: 50
+        })
+
+        expect(result).toEqual({
+          passed: false,
+          failures: [],
+          crashes: [{ service: 'db', reason: 'exited with code 137' }]
+        })
+        expect(execCommandSpy).toHaveBeenCalledTimes(1)
+      })
+
+      test('should report the crash rather than the test failure it caused', async () => {
+        jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(psJson(
+          { Service: 'api', Name: 'p-api-1', State: 'exited', ExitCode: 1 },
+          { Service: 'api-tests', Name: 'p-api-tests-1', State: 'exited', ExitCode: 1 }
+        ))
+
+        const result = await composeInvoker.waitForTestContainers(testComposePath, ['api-tests'], {
+          timeout: 5000,
+          checkInterval: 50
+        })
+
+        expect(result.crashes).toEqual([{ service: 'api', reason: 'exited with code 1' }])
+      })
+
+      test('should detect restart loops but ignore restarts from before the wait', async () => {
+        jest.spyOn(composeInvoker, 'getServiceStatuses')
+          .mockResolvedValueOnce({
+            db: { state: 'running', health: 'healthy', restartCount: 1 },
+            'api-tests': { state: 'running', health: '' }
+          })
+          .mockResolvedValue({
+            db: { state: 'running', health: 'starting', restartCount: 3 },
+            'api-tests': { state: 'running', health: '' }
+          })
+
+        const result = await composeInvoker.waitForTestContainers(testComposePath, ['api-tests'], {
+          timeout: 5000,
+          checkInterval: 10
+        })
+
+        expect(result.crashes).toEqual([{ service: 'db', reason: 'restarted 2 time(s)' }])
+      })
+
+      test('should report a restarting service as crashed', () => {
+        expect(composeInvoker.detectCrashes({ db: { state: 'restarting', restartCount: 4 } }, ['db']))
+          .toEqual([{ service: 'db', reason: 'restarting (restarts: 4)' }])
+      })
+
+      test('should ignore jobs and guessed test containers', async () => {
+        jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue(psJson(
+          { Service: 'db-migrate', Name: 'p-db-migrate-1', State: 'exited', ExitCode: 0 },
+          { Service: 'api', Name: 'p-api-1', State: 'exited', ExitCode: 2 }
+        ))
+
+        // "api" is treated as a test container, e.g. guessed with --detect-tests
+        const result = await composeInvoker.waitForTestContainers(testComposePath, ['api'], {
+          timeout: 5000,
+          checkInterval: 50
+        })
+
+        expect(result).toEqual({
+          passed: false,
+          failures: [{ service: 'api', reason: 'exited with code 2' }],
+          crashes: []
+        })
+      })
+    })
+  })
+
+  describe('getServiceStatuses', () => {
+    beforeEach(() => {
+      jest.spyOn(composeInvoker, 'detectDockerCompose').mockResolvedValue({
+        command: 'docker',
+        args: ['compose']
+      })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should parse one JSON object per line', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({
+        exitCode: 0,
+        stdout: [
+          JSON.stringify({ Service: 'db', Name: 'p-db-1', State: 'running', Health: 'healthy', ExitCode: 0 }),
+          JSON.stringify({ Service: 'tests', Name: 'p-tests-1', State: 'exited', Health: '', ExitCode: 2 })
+        ].join('\n'),
+        stderr: ''
+      })
+
+      const statuses = await composeInvoker.getServiceStatuses(testComposePath, { projectName: 'xq-pr-1' })
+
+      expect(execCommandSpy).toHaveBeenCalledWith('docker',
+        ['compose', '-f', testComposePath, '-p', 'xq-pr-1', 'ps', '-a', '--format', 'json'],
+        expect.any(Object))
+      expect(statuses).toEqual({
+        db: { service: 'db', name: 'p-db-1', id: null, state: 'running', status: '', health: 'healthy', exitCode: 0, restartCount: null },
+        tests: { service: 'tests', name: 'p-tests-1', id: null, state: 'exited', status: '', health: '', exitCode: 2, restartCount: null }
+      })
+    })
+
+    test('should read restart counts with docker inspect', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce({
+          exitCode: 0,
+          stdout: [
+            JSON.stringify({ ID: 'aaa', Service: 'api', Name: 'p-api-1', State: 'running', Status: 'Up 5 seconds' }),
+            JSON.stringify({ ID: 'bbb', Service: 'db', Name: 'p-db-1', State: 'running', Status: 'Up 1 minute' })
+          ].join('\n'),
+          stderr: ''
+        })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '3\n0\n', stderr: '' })
+
+      const statuses = await composeInvoker.getServiceStatuses(testComposePath)
+
+      expect(execCommandSpy).toHaveBeenLastCalledWith('docker',
+        ['inspect', '--format', '{{.RestartCount}}', 'aaa', 'bbb'],
+        expect.any(Object))
+      expect(statuses.api).toMatchObject({ id: 'aaa', status: 'Up 5 seconds', restartCount: 3 })
+      expect(statuses.db.restartCount).toBe(0)
+    })
+
+    test('should leave restart counts unknown when docker inspect fails', async () => {
+      jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce({
+          exitCode: 0,
+          stdout: JSON.stringify({ ID: 'aaa', Service: 'api', Name: 'p-api-1', State: 'running' }),
+          stderr: ''
+        })
+        .mockRejectedValueOnce(new Error('No such object: aaa'))
+
+      const statuses = await composeInvoker.getServiceStatuses(testComposePath)
+
+      expect(statuses.api.restartCount).toBeNull()
+    })
+
+    test('should parse a JSON array', () => {
+      expect(composeInvoker.parsePsJson('[{"Service":"db"}]')).toEqual([{ Service: 'db' }])
+      expect(composeInvoker.parsePsJson('')).toEqual([])
+    })
+  })
+
+  describe('evaluateReadiness', () => {
+    test('should require healthy when a healthcheck exists', () => {
+      expect(composeInvoker.evaluateReadiness({ state: 'running', health: 'starting' }))
+        .toEqual({ ready: false, failed: false, reason: 'health: starting' })
+      expect(composeInvoker.evaluateReadiness({ state: 'running', health: 'healthy' }).ready).toBe(true)
+    })
+
+    test('should accept running containers without healthcheck', () => {
+      expect(composeInvoker.evaluateReadiness({ state: 'running', health: '' }).ready).toBe(true)
+      expect(composeInvoker.evaluateReadiness({ state: 'created', health: '' }).ready).toBe(false)
+    })
+
+    test('should treat exit codes as completed or failed', () => {
+      expect(composeInvoker.evaluateReadiness({ state: 'exited', health: '', exitCode: 0 }).ready).toBe(true)
+      expect(composeInvoker.evaluateReadiness({ state: 'exited', health: '', exitCode: 1 }))
+        .toEqual({ ready: false, failed: true, reason: 'exited with code 1' })
+    })
+
+    test('should report missing containers as pending', () => {
+      expect(composeInvoker.evaluateReadiness(undefined).reason).toBe('container not created')
+    })
+  })
+
+  describe('waitForHealthy', () => {
+    beforeEach(async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  db:
+    image: postgres:15
+    x-xq-wait-timeout: 200ms
+  api:
+    image: api:latest
+`, 'utf8')
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should resolve once every service is ready', async () => {
+      const statusSpy = jest.spyOn(composeInvoker, 'getServiceStatuses')
+        .mockResolvedValueOnce({
+          db: { state: 'running', health: 'starting' },
+          api: { state: 'running', health: '' }
+        })
+        .mockResolvedValue({
+          db: { state: 'running', health: 'healthy' },
+          api: { state: 'running', health: '' }
+        })
+
+      const result = await composeInvoker.waitForHealthy(testComposePath, { checkInterval: 10 })
+
+      expect(result).toEqual({ ready: true, failures: [] })
+      expect(statusSpy).toHaveBeenCalledTimes(2)
+    })
+
+    test('should apply the per-service timeout and report the unready service', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        db: { state: 'running', health: 'unhealthy' },
+        api: { state: 'running', health: '' }
+      })
+
+      const result = await composeInvoker.waitForHealthy(testComposePath, { timeout: 10000, checkInterval: 50 })
+
+      expect(result).toEqual({
+        ready: false,
+        failures: [{ service: 'db', reason: 'not ready after 0.2s (health: unhealthy)' }]
+      })
+    })
+
+    test('should fail immediately when a container exits with an error', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        db: { state: 'exited', health: '', exitCode: 1 },
+        api: { state: 'running', health: '' }
+      })
+
+      const result = await composeInvoker.waitForHealthy(testComposePath, { checkInterval: 10 })
+
+      expect(result.failures).toEqual([{ service: 'db', reason: 'exited with code 1' }])
+    })
+  })
+
+  describe('waitForJobs', () => {
+    beforeEach(async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+  seed:
+    image: seed:latest
+    x-xq-role: job
+  api:
+    image: api:latest
+  api-tests:
+    image: tests:latest
+    x-xq-role: test
+`, 'utf8')
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should list services by role', async () => {
+      await expect(composeInvoker.getServicesByRole(testComposePath, 'job')).resolves.toEqual(['db-migrate', 'seed'])
+      await expect(composeInvoker.getServicesByRole(testComposePath, 'service')).resolves.toEqual(['api'])
+    })
+
+    test('should wait until jobs exit and ignore other services', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses')
+        .mockResolvedValueOnce({
+          'db-migrate': { state: 'running', health: '' },
+          seed: { state: 'created', health: '' }
+        })
+        .mockResolvedValue({
+          'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+          seed: { state: 'exited', health: '', exitCode: 3 }
+        })
+
+      const result = await composeInvoker.waitForJobs(testComposePath, { checkInterval: 10 })
+
+      expect(result).toEqual({
+        jobs: ['db-migrate', 'seed'],
+        ready: false,
+        failures: [{ service: 'seed', reason: 'exited with code 3' }]
+      })
+    })
+
+    test('should only report failed jobs when not waiting', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        'db-migrate': { state: 'exited', health: '', exitCode: 1 }
+      })
+
+      const result = await composeInvoker.waitForJobs(testComposePath, { wait: false })
+
+      expect(result.failures).toEqual([{ service: 'db-migrate', reason: 'exited with code 1' }])
+    })
+
+    test('should treat running jobs as pending', () => {
+      expect(composeInvoker.evaluateReadiness({ state: 'running', health: '' }, { job: true }))
+        .toEqual({ ready: false, failed: false, reason: 'state: running' })
+    })
+  })
+
+  describe('getEnvironmentStatus', () => {
+    beforeEach(async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+  api:
+    image: api:latest
+  api-tests:
+    image: tests:latest
+    x-xq-role: test
+`, 'utf8')
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should report every service of the compose file with its role and readiness', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        'db-migrate': { state: 'exited', health: '', exitCode: 0, restartCount: 0 },
+        api: { state: 'running', health: 'unhealthy', exitCode: 0, restartCount: 2 }
+      })
+
+      const services = await composeInvoker.getEnvironmentStatus(testComposePath, { projectName: 'xq-pr-1' })
+
+      expect(composeInvoker.getServiceStatuses).toHaveBeenCalledWith(testComposePath, { projectName: 'xq-pr-1' })
+      expect(services).toEqual([
+        { service: 'db-migrate', role: 'job', state: 'exited', health: '', exitCode: 0, restartCount: 0, ready: true, failed: false, reason: 'completed' },
+        // Running containers report exit code 0 in "compose ps"; it is only meaningful once they exited
+        { service: 'api', role: 'service', state: 'running', health: 'unhealthy', exitCode: null, restartCount: 2, ready: false, failed: false, reason: 'health: unhealthy' },
+        { service: 'api-tests', role: 'test', state: 'not created', health: '', exitCode: null, restartCount: null, ready: false, failed: false, reason: 'container not created' }
+      ])
+    })
+
+    test('should describe a status on one line', () => {
+      expect(composeInvoker.formatStatus('api', { state: 'running', health: 'unhealthy', exitCode: 0, restartCount: 2 }))
+        .toBe('api: running, health: unhealthy, restarts: 2')
+      expect(composeInvoker.formatStatus('tests', { state: 'exited', health: '', exitCode: 1, restartCount: 0 }))
+        .toBe('tests: exited (exit code 1)')
+      expect(composeInvoker.formatStatus('seed')).toBe('seed: not created')
+    })
+  })
+
+  describe('getConfigHashes', () => {
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should read the config hash label with docker inspect', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValue({ exitCode: 0, stdout: '0123456789abcdef\n<no value>\n', stderr: '' })
+
+      const hashes = await composeInvoker.getConfigHashes(['aaa', 'bbb'])
+
+      expect(execCommandSpy).toHaveBeenCalledWith('docker',
+        ['inspect', '--format', '{{index .Config.Labels "xq.config-hash"}}', 'aaa', 'bbb'],
+        expect.any(Object))
+      expect(hashes).toEqual({ aaa: '0123456789abcdef' })
+    })
+
+    test('should return no hashes when docker inspect fails', async () => {
+      jest.spyOn(composeInvoker, 'execCommand').mockRejectedValue(new Error('No such object: aaa'))
+
+      expect(await composeInvoker.getConfigHashes(['aaa'])).toEqual({})
+    })
+  })
+
+  describe('planReuse', () => {
+    beforeEach(async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+    labels:
+      xq.config-hash: aaaa
+  db:
+    image: postgres:15
+    labels:
+      xq.config-hash: bbbb
+  api:
+    image: api:pr-7
+    labels:
+      xq.config-hash: cccc
+  worker:
+    image: worker:latest
+    labels:
+      - xq.config-hash=dddd
+  cache:
+    image: redis:7
+    labels:
+      xq.config-hash: eeee
+  api-tests:
+    image: tests:latest
+    x-xq-role: test
+    labels:
+      xq.config-hash: ffff
+`, 'utf8')
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should reuse running services and completed jobs whose config is unchanged', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        'db-migrate': { id: '1', state: 'exited', exitCode: 0 },
+        db: { id: '2', state: 'running', exitCode: 0 },
+        // Generated with another tag
+        api: { id: '3', state: 'running', exitCode: 0 },
+        worker: { id: '4', state: 'exited', exitCode: 137 },
+        'api-tests': { id: '6', state: 'exited', exitCode: 0 }
+      })
+      const getConfigHashesSpy = jest.spyOn(composeInvoker, 'getConfigHashes').mockResolvedValue({
+        1: 'aaaa', 2: 'bbbb', 3: '9999', 4: 'dddd', 6: 'ffff'
+      })
+
+      const plan = await composeInvoker.planReuse(testComposePath, { projectName: 'xq-pr-1' })
+
+      expect(composeInvoker.getServiceStatuses).toHaveBeenCalledWith(testComposePath, { projectName: 'xq-pr-1' })
+      expect(getConfigHashesSpy).toHaveBeenCalledWith(['1', '2', '3', '4', '6'])
+      expect(plan).toEqual({
+        reuse: ['db-migrate', 'db'],
+        // Changed config, stopped, not created, and test containers that always run again
+        start: ['api', 'worker', 'cache', 'api-tests']
+      })
+    })
+
+    test('should start failed jobs again', async () => {
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        'db-migrate': { id: '1', state: 'exited', exitCode: 1 }
+      })
+      jest.spyOn(composeInvoker, 'getConfigHashes').mockResolvedValue({ 1: 'aaaa' })
+
+      const plan = await composeInvoker.planReuse(testComposePath)
+
+      expect(plan.reuse).toEqual([])
+      expect(plan.start).toContain('db-migrate')
+    })
+
+    test('should run a completed job again when a service it depends on is recreated', async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  db:
+    image: postgres:16
+    labels:
+      xq.config-hash: bbbb
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+    depends_on:
+      db:
+        condition: service_healthy
+    labels:
+      xq.config-hash: aaaa
+  api:
+    image: api:latest
+    depends_on:
+      - db-migrate
+    labels:
+      xq.config-hash: cccc
+  worker:
+    image: worker:latest
+    labels:
+      xq.config-hash: dddd
+`, 'utf8')
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        db: { id: '1', state: 'running' },
+        'db-migrate': { id: '2', state: 'exited', exitCode: 0 },
+        api: { id: '3', state: 'running' },
+        worker: { id: '4', state: 'running' }
+      })
+      // postgres:15 -> postgres:16
+      jest.spyOn(composeInvoker, 'getConfigHashes').mockResolvedValue({ 1: '9999', 2: 'aaaa', 3: 'cccc', 4: 'dddd' })
+
+      const plan = await composeInvoker.planReuse(testComposePath)
+
+      // The migration runs against the new database, and api that depends on it transitively is recreated
+      expect(plan).toEqual({ start: ['db', 'db-migrate', 'api'], reuse: ['worker'] })
+    })
+
+    test('should restart the gateway when an upstream is recreated', async () => {
+      await fs.writeFile(testComposePath, `
+services:
+  api:
+    image: api:pr-8
+    labels:
+      xq.config-hash: cccc
+  db-migrate:
+    image: migrate:latest
+    x-xq-role: job
+    labels:
+      xq.config-hash: aaaa
+  xq-gateway:
+    image: nginx:alpine
+    labels:
+      xq.config-hash: gggg
+`, 'utf8')
+      const statuses = {
+        api: { id: '1', state: 'running' },
+        'db-migrate': { id: '2', state: 'exited', exitCode: 0 },
+        'xq-gateway': { id: '3', state: 'running' }
+      }
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue(statuses)
+      const getConfigHashes = jest.spyOn(composeInvoker, 'getConfigHashes')
+
+      // api was generated with another tag
+      getConfigHashes.mockResolvedValue({ 1: '9999', 2: 'aaaa', 3: 'gggg' })
+      expect(await composeInvoker.planReuse(testComposePath)).toEqual({ start: ['api', 'xq-gateway'], reuse: ['db-migrate'] })
+
+      // A job is not an upstream of the gateway
+      statuses['db-migrate'] = { id: '2', state: 'exited', exitCode: 1 }
+      getConfigHashes.mockResolvedValue({ 1: 'cccc', 2: 'aaaa', 3: 'gggg' })
+      expect(await composeInvoker.planReuse(testComposePath)).toEqual({ start: ['db-migrate'], reuse: ['api', 'xq-gateway'] })
+    })
+
+    test('should start services generated without reuse', async () => {
+      await fs.writeFile(testComposePath, 'services:\n  api:\n    image: api:latest\n', 'utf8')
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({ api: { id: '1', state: 'running' } })
+      jest.spyOn(composeInvoker, 'getConfigHashes').mockResolvedValue({})
+
+      expect(await composeInvoker.planReuse(testComposePath)).toEqual({ start: ['api'], reuse: [] })
+    })
+  })
+
+  describe('collectArtifacts', () => {
+    let outputDir
+
+    beforeEach(async () => {
+      outputDir = path.join(tempDir, 'xq-artifacts')
+      await fs.writeFile(testComposePath, `
+services:
+  api:
+    image: api:latest
+  e2e-tests:
+    image: tests:latest
+    x-xq-role: test
+    x-xq-artifacts:
+      - /app/reports/
+      - /app/junit.xml
+  smoke-tests:
+    image: tests:latest
+    x-xq-role: test
+    x-xq-artifacts:
+      - /out
+`, 'utf8')
+      jest.spyOn(composeInvoker, 'getServiceStatuses').mockResolvedValue({
+        'e2e-tests': { service: 'e2e-tests', name: 'p-e2e-tests-1', state: 'exited', exitCode: 1 }
+      })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should copy every artifact path out of the exited container', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '', stderr: '' })
+        .mockRejectedValueOnce(Object.assign(new Error('Command failed with exit code 1'), {
+          result: { stderr: 'Could not find the file /app/junit.xml in container p-e2e-tests-1' }
+        }))
+
+      const results = await composeInvoker.collectArtifacts(testComposePath, { outputDir, projectName: 'xq-pr-1' })
+
+      expect(execCommandSpy).toHaveBeenCalledWith('docker',
+        ['cp', 'p-e2e-tests-1:/app/reports/', path.join(outputDir, 'e2e-tests', 'reports')],
+        expect.any(Object))
+      expect(results).toEqual([
+        { service: 'e2e-tests', path: '/app/reports/', destination: path.join(outputDir, 'e2e-tests', 'reports'), success: true },
+        {
+          service: 'e2e-tests',
+          path: '/app/junit.xml',
+          destination: path.join(outputDir, 'e2e-tests', 'junit.xml'),
+          success: false,
+          error: 'Could not find the file /app/junit.xml in container p-e2e-tests-1'
+        },
+        { service: 'smoke-tests', path: '/out', destination: path.join(outputDir, 'smoke-tests', 'out'), success: false, error: 'container not created' }
+      ])
+    })
+
+    test('should remove artifacts of an earlier run', async () => {
+      await fs.outputFile(path.join(outputDir, 'e2e-tests', 'old.xml'), '<testsuite/>')
+      jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' })
+
+      await composeInvoker.collectArtifacts(testComposePath, { outputDir })
+
+      expect(await fs.pathExists(path.join(outputDir, 'e2e-tests', 'old.xml'))).toBe(false)
+    })
+
+    test('should do nothing without artifacts', async () => {
+      await fs.writeFile(testComposePath, 'services:\n  api:\n    image: api:latest\n', 'utf8')
+
+      await expect(composeInvoker.collectArtifacts(testComposePath, { outputDir })).resolves.toEqual([])
+      expect(composeInvoker.getServiceStatuses).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('dumpLogs', () => {
+    let outputDir
+
+    beforeEach(async () => {
+      outputDir = path.join(tempDir, 'xq-logs')
+      await fs.writeFile(testComposePath, `
+services:
+  db:
+    image: postgres:16
+  api:
+    image: api:latest
+`, 'utf8')
+      jest.spyOn(composeInvoker, 'detectDockerCompose').mockResolvedValue({
+        command: 'docker',
+        args: ['compose']
+      })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should write the full plain logs of every service to its own file', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand').mockImplementation((command, args) =>
+        Promise.resolve({ exitCode: 0, stdout: `${args[args.length - 1]}-1  | started`, stderr: '' }))
+
+      const results = await composeInvoker.dumpLogs(testComposePath, { outputDir, projectName: 'xq-pr-1' })
+
+      expect(execCommandSpy).toHaveBeenCalledWith('docker',
+        ['compose', '-f', testComposePath, '-p', 'xq-pr-1', 'logs', '--no-color', 'db'],
+        expect.objectContaining({ stdio: 'pipe' }))
+      expect(results).toEqual([
+        { service: 'db', file: path.join(outputDir, 'db.log'), success: true },
+        { service: 'api', file: path.join(outputDir, 'api.log'), success: true }
+      ])
+      expect(await fs.readFile(path.join(outputDir, 'api.log'), 'utf8')).toBe('api-1  | started\n')
+    })
+
+    test('should limit services and lines and keep going when one service fails', async () => {
+      const execCommandSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockRejectedValueOnce(new Error('no such service: cache'))
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '', stderr: '' })
+
+      const results = await composeInvoker.dumpLogs(testComposePath, {
+        outputDir,
+        services: ['cache', 'api'],
+        tail: '20',
+        timestamps: true
+      })
+
+      expect(execCommandSpy).toHaveBeenLastCalledWith('docker',
+        ['compose', '-f', testComposePath, 'logs', '--tail', '20', '--timestamps', '--no-color', 'api'],
+        expect.any(Object))
+      expect(results).toEqual([
+        { service: 'cache', file: path.join(outputDir, 'cache.log'), success: false, error: 'no such service: cache' },
+        { service: 'api', file: path.join(outputDir, 'api.log'), success: true }
+      ])
+    })
+  })
+
+  describe('parseDuration', () => {
+    test('should convert compose durations to milliseconds', () => {
+      expect(composeInvoker.parseDuration('1m30s')).toBe(90000)
+      expect(composeInvoker.parseDuration('250ms')).toBe(250)
+      expect(composeInvoker.parseDuration(5)).toBe(5000)
+    })
+
+    test('should reject invalid durations', () => {
+      expect(() => composeInvoker.parseDuration('soon')).toThrow('Invalid duration: soon')
+    })
   })
-})
\ No newline at end of file
+})
@@ -0,0 +1,43 @@
+const { hashService, readHashLabel, withHashLabel } = require('../src/services/configHash')
+
+describe('configHash', () => {
+  test('should hash equal configs the same regardless of key order', () => {
+    const a = { image: 'api:latest', environment: { A: '1', B: '2' }, ports: ['4000:3000'] }
+    const b = { ports: ['4000:3000'], environment: { B: '2', A: '1' }, image: 'api:latest' }
+
+    expect(hashService(a)).toBe(hashService(b))
+    expect(hashService(a)).toMatch(/^[0-9a-f]{16}$/)
+  })
+
+  test('should change the hash when the config changes', () => {
+    const service = { image: 'api:latest', ports: ['4000:3000'] }
+
+    expect(hashService({ ...service, image: 'api:pr-7' })).not.toBe(hashService(service))
+    expect(hashService({ ...service, ports: ['4001:3000'] })).not.toBe(hashService(service))
+  })
+
+  test('should include extra content in the hash', () => {
+    const service = { image: 'nginx:alpine' }
+
+    expect(hashService(service, 'events {}')).not.toBe(hashService(service, 'events { worker_connections 1024; }'))
+  })
+
+  test('should add and read the label in map form', () => {
+    const service = withHashLabel({ image: 'api:latest', labels: { team: 'core' } }, 'abc123')
+
+    expect(service.labels).toEqual({ team: 'core', 'xq.config-hash': 'abc123' })
+    expect(readHashLabel(service)).toBe('abc123')
+  })
+
+  test('should add and read the label in list form', () => {
+    const service = withHashLabel({ image: 'api:latest', labels: ['team=core'] }, 'abc123')
+
+    expect(service.labels).toEqual(['team=core', 'xq.config-hash=abc123'])
+    expect(readHashLabel(service)).toBe('abc123')
+  })
+
+  test('should return null without a label', () => {
+    expect(readHashLabel({ image: 'api:latest' })).toBeNull()
+    expect(readHashLabel({ image: 'api:latest', labels: ['team=core'] })).toBeNull()
+  })
+})
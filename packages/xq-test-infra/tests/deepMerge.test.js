@@ -0,0 +1,73 @@
+const { deepMerge, getDirective } = require('../src/services/deepMerge')
+
+describe('deepMerge', () => {
+  test('should merge nested objects key by key', () => {
+    const base = { environment: { A: '1', B: '2' }, tag: 'latest' }
+
+    const result = deepMerge(base, { environment: { B: 'x', C: '3' } })
+
+    expect(result).toEqual({ environment: { A: '1', B: 'x', C: '3' }, tag: 'latest' })
+  })
+
+  test('should not mutate inputs', () => {
+    const base = { environment: { A: '1' }, ports: ['80:80'] }
+    const patch = { environment: { B: '2' }, ports: { $append: ['81:81'] } }
+
+    deepMerge(base, patch)
+
+    expect(base).toEqual({ environment: { A: '1' }, ports: ['80:80'] })
+    expect(patch).toEqual({ environment: { B: '2' }, ports: { $append: ['81:81'] } })
+  })
+
+  test('should replace lists by default', () => {
+    const result = deepMerge({ ports: ['80:80'] }, { ports: ['81:80'] })
+
+    expect(result.ports).toEqual(['81:80'])
+  })
+
+  test('should append lists with $append', () => {
+    const result = deepMerge({ volumes: ['a:/a'] }, { volumes: { $append: ['b:/b'] } })
+
+    expect(result.volumes).toEqual(['a:/a', 'b:/b'])
+  })
+
+  test('should create list when appending to missing key', () => {
+    const result = deepMerge({}, { volumes: { $append: ['b:/b'] } })
+
+    expect(result.volumes).toEqual(['b:/b'])
+  })
+
+  test('should replace objects with $replace', () => {
+    const result = deepMerge({ environment: { A: '1' } }, { environment: { $replace: { B: '2' } } })
+
+    expect(result.environment).toEqual({ B: '2' })
+  })
+
+  test('should delete keys set to null', () => {
+    const result = deepMerge({ environment: { A: '1', B: '2' }, command: ['x'] }, { environment: { A: null }, command: null })
+
+    expect(result).toEqual({ environment: { B: '2' } })
+  })
+
+  test('should strip nulls and directives from new values', () => {
+    const result = deepMerge({}, { service: { environment: { A: null, B: '1' }, ports: { $append: ['80:80'] } } })
+
+    expect(result).toEqual({ service: { environment: { B: '1' }, ports: ['80:80'] } })
+  })
+
+  test('should throw when appending to a non-list', () => {
+    expect(() => deepMerge({ services: { api: { environment: { A: '1' } } } }, { services: { api: { environment: { $append: ['B=2'] } } } }))
+      .toThrow('$append at services.api.environment requires the existing value to be a list')
+  })
+
+  test('should throw when $append is not a list', () => {
+    expect(() => deepMerge({ ports: [] }, { ports: { $append: '80:80' } }))
+      .toThrow('$append at ports requires a list')
+  })
+
+  test('should detect directives only on single-key objects', () => {
+    expect(getDirective({ $append: [] })).toBe('$append')
+    expect(getDirective({ $replace: {}, other: 1 })).toBeNull()
+    expect(getDirective(['$append'])).toBeNull()
+  })
+})
@@ -0,0 +1,171 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const { interpolate, interpolateString, parseEnvFile, loadEnv } = require('../src/services/envInterpolation')
+
+describe('envInterpolation', () => {
+  const env = {
+    TAG: 'pr-123',
+    EMPTY: '',
+    PORT: '5433',
+    HOST: 'db'
+  }
+
+  describe('interpolateString', () => {
+    test('should substitute ${VAR}', () => {
+      expect(interpolateString('image-${TAG}', env)).toBe('image-pr-123')
+    })
+
+    test('should resolve unset variables to an empty string', () => {
+      expect(interpolateString('a${MISSING}b', env)).toBe('ab')
+    })
+
+    test('should apply ${VAR:-default} when unset or empty', () => {
+      expect(interpolateString('${MISSING:-latest}', env)).toBe('latest')
+      expect(interpolateString('${EMPTY:-latest}', env)).toBe('latest')
+      expect(interpolateString('${TAG:-latest}', env)).toBe('pr-123')
+    })
+
+    test('should apply ${VAR-default} only when unset', () => {
+      expect(interpolateString('${MISSING-latest}', env)).toBe('latest')
+      expect(interpolateString('${EMPTY-latest}', env)).toBe('')
+    })
+
+    test('should interpolate references inside defaults', () => {
+      expect(interpolateString('${MISSING:-${HOST}-fallback}', env)).toBe('db-fallback')
+    })
+
+    test('should throw for ${VAR:?error} when unset or empty', () => {
+      expect(() => interpolateString('${MISSING:?set the password}', env))
+        .toThrow('Required variable \'MISSING\' is not set: set the password')
+      expect(() => interpolateString('${EMPTY:?}', env))
+        .toThrow('Required variable \'EMPTY\' is not set')
+      expect(interpolateString('${TAG:?required}', env)).toBe('pr-123')
+    })
+
+    test('should allow empty value for ${VAR?error}', () => {
+      expect(interpolateString('${EMPTY?required}', env)).toBe('')
+    })
+
+    test('should convert a lone reference resolving to an integer', () => {
+      expect(interpolateString('${PORT}', env)).toBe(5433)
+      expect(interpolateString('${MISSING:-3000}', env)).toBe(3000)
+      expect(interpolateString('${PORT}:5432', env)).toBe('5433:5432')
+    })
+
+    test('should leave escaped $$ untouched', () => {
+      expect(interpolateString('$${TAG} costs $$5', env)).toBe('$${TAG} costs $$5')
+    })
+
+    test('should escape $ in substituted values but not in the template', () => {
+      const vars = { PW: 'pa$word', PRICE: '$5' }
+
+      expect(interpolateString('${PW}', vars)).toBe('pa$$word')
+      expect(interpolateString('$$HOME/${PW}', vars)).toBe('$$HOME/pa$$word')
+      expect(interpolateString('${MISSING:-${PRICE}}', vars)).toBe('$$5')
+      expect(interpolateString('${PW:?required}', vars)).toBe('pa$$word')
+    })
+
+    test('should reject invalid expressions', () => {
+      expect(() => interpolateString('${1BAD}', env)).toThrow('Invalid interpolation format')
+    })
+  })
+
+  describe('interpolate', () => {
+    test('should interpolate nested objects and arrays', () => {
+      const result = interpolate({
+        tag: '${TAG}',
+        port: 3000,
+        ports: ['${PORT}:5432'],
+        environment: { DB_HOST: '${HOST}', DEBUG: true }
+      }, env)
+
+      expect(result).toEqual({
+        tag: 'pr-123',
+        port: 3000,
+        ports: ['5433:5432'],
+        environment: { DB_HOST: 'db', DEBUG: true }
+      })
+    })
+
+    test('should attach the key path to errors', () => {
+      let caught
+      try {
+        interpolate({ environment: { PASSWORD: '${MISSING:?}' } }, env)
+      } catch (error) {
+        caught = error
+      }
+
+      expect(caught.path).toEqual(['environment', 'PASSWORD'])
+    })
+  })
+
+  describe('parseEnvFile', () => {
+    test('should parse keys, quotes, comments and export prefix', () => {
+      const vars = parseEnvFile([
+        '# comment',
+        '',
+        'TAG=pr-123',
+        'export DB_PASSWORD=secret # inline comment',
+        'QUOTED="hello world"',
+        'SINGLE=\'$literal\'',
+        'MULTI="a\\nb"',
+        'not a variable'
+      ].join('\n'))
+
+      expect(vars).toEqual({
+        TAG: 'pr-123',
+        DB_PASSWORD: 'secret',
+        QUOTED: 'hello world',
+        SINGLE: '$literal',
+        MULTI: 'a\nb'
+      })
+    })
+  })
+
+  describe('loadEnv', () => {
+    let tempDir
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `xq-env-test-${Date.now()}`)
+      await fs.ensureDir(tempDir)
+    })
+
+    afterEach(async () => {
+      await fs.remove(tempDir)
+      delete process.env.XQ_ENV_TEST_VAR
+    })
+
+    test('should load .env file next to the spec', async () => {
+      await fs.writeFile(path.join(tempDir, '.env'), 'XQ_ENV_FILE_VAR=from-file\n', 'utf8')
+
+      const result = await loadEnv(tempDir)
+
+      expect(result.XQ_ENV_FILE_VAR).toBe('from-file')
+    })
+
+    test('should let process environment win over .env file', async () => {
+      process.env.XQ_ENV_TEST_VAR = 'from-process'
+      await fs.writeFile(path.join(tempDir, '.env'), 'XQ_ENV_TEST_VAR=from-file\n', 'utf8')
+
+      const result = await loadEnv(tempDir)
+
+      expect(result.XQ_ENV_TEST_VAR).toBe('from-process')
+    })
+
+    test('should keep $ in .env values literal for compose', async () => {
+      await fs.writeFile(path.join(tempDir, '.env'), 'XQ_ENV_PASSWORD=\'pa$word\'\n', 'utf8')
+
+      const result = interpolate({ environment: { PW: '${XQ_ENV_PASSWORD}' } }, await loadEnv(tempDir))
+
+      // docker compose turns "$$" back into "$"
+      expect(result.environment.PW).toBe('pa$$word')
+    })
+
+    test('should work without .env file', async () => {
+      const result = await loadEnv(tempDir)
+
+      expect(result.PATH).toBe(process.env.PATH)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const envManifest = require('../src/services/envManifest')
+
+describe('envManifest', () => {
+  describe('parsePortMapping', () => {
+    test('should parse host and container ports', () => {
+      expect(envManifest.parsePortMapping('4000:3000')).toEqual([
+        { host: 4000, container: 3000, protocol: 'tcp', hostIp: null }
+      ])
+    })
+
+    test('should parse bind address, ranges and protocol', () => {
+      expect(envManifest.parsePortMapping('127.0.0.1:5000-5001:6000-6001/udp')).toEqual([
+        { host: 5000, container: 6000, protocol: 'udp', hostIp: '127.0.0.1' },
+        { host: 5001, container: 6001, protocol: 'udp', hostIp: '127.0.0.1' }
+      ])
+    })
+
+    test('should leave host port empty for container-only mappings', () => {
+      expect(envManifest.parsePortMapping('80')).toEqual([
+        { host: null, container: 80, protocol: 'tcp', hostIp: null }
+      ])
+    })
+  })
+
+  describe('buildManifest', () => {
+    const compose = {
+      services: {
+        api: { image: 'api:1.0', ports: ['4000:3000'] },
+        db: { image: 'postgres:15' },
+        'xq-gateway': { image: 'nginx:alpine', ports: ['8081:80'] }
+      }
+    }
+    const spec = {
+      services: {
+        api: { image: 'api', routes: [{ paths: ['/api/todos/*'] }, { methods: ['GET'], paths: ['/health'] }] },
+        db: { image: 'postgres' }
+      }
+    }
+
+    test('should describe every service except the gateway', () => {
+      const manifest = envManifest.buildManifest(compose, spec, { envName: 'pr-1', projectName: 'xq-pr-1' })
+
+      expect(manifest.version).toBe(envManifest.MANIFEST_VERSION)
+      expect(manifest.envName).toBe('pr-1')
+      expect(manifest.projectName).toBe('xq-pr-1')
+      expect(Object.keys(manifest.services)).toEqual(['api', 'db'])
+      expect(manifest.services.api).toEqual({
+        hostname: 'api',
+        image: 'api:1.0',
+        ports: [{ host: 4000, container: 3000, protocol: 'tcp' }],
+        hostPort: 4000,
+        containerPort: 3000,
+        url: 'http://localhost:4000',
+        internalUrl: 'http://api:3000',
+        gatewayUrl: 'http://localhost:8081/api',
+        routes: [
+          { methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'], paths: ['/api/todos/*'] },
+          { methods: ['GET'], paths: ['/health'] }
+        ]
+      })
+    })
+
+    test('should report unpublished services without host URL', () => {
+      const manifest = envManifest.buildManifest(compose, spec)
+
+      expect(manifest.services.db.hostPort).toBeNull()
+      expect(manifest.services.db.url).toBeNull()
+      expect(manifest.services.db.internalUrl).toBe('http://db:80')
+    })
+
+    test('should describe the gateway', () => {
+      const manifest = envManifest.buildManifest(compose, spec)
+
+      expect(manifest.gateway).toEqual({ url: 'http://localhost:8081', hostPort: 8081, containerPort: 80 })
+    })
+
+    test('should omit gateway when disabled', () => {
+      const manifest = envManifest.buildManifest({ services: { api: compose.services.api } }, spec)
+
+      expect(manifest.gateway).toBeNull()
+      expect(manifest.services.api.gatewayUrl).toBeNull()
+    })
+  })
+
+  describe('writeManifest', () => {
+    test('should write pretty-printed JSON', async () => {
+      const outPath = path.join(os.tmpdir(), `xq-env-${Date.now()}.json`)
+      try {
+        await envManifest.writeManifest({ version: 1, services: {} }, outPath)
+
+        expect(await fs.readJson(outPath)).toEqual({ version: 1, services: {} })
+      } finally {
+        await fs.remove(outPath)
+      }
+    })
+  })
+})
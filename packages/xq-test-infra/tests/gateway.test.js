@@ -305,6 +305,22 @@ describe('Gateway', () => {
       expect(config).toContain('location /database/')
     })
 
+    test('should exclude jobs from upstreams and locations', async () => {
+      const servicesMap = {
+        'api-service': { ports: ['3001:3000'] },
+        'db-migrate': { 'x-xq-role': 'job', routes: [{ paths: ['/migrate'] }] }
+      }
+
+      const configPath = path.join(tempDir, 'nginx.conf')
+      await gateway.generateNginxConfig(servicesMap, configPath)
+
+      const config = await fs.readFile(configPath, 'utf8')
+
+      expect(config).toContain('upstream api-service_upstream')
+      expect(config).not.toContain('db-migrate')
+      expect(config).not.toContain('/migrate')
+    })
+
     test('should generate nginx config with route-based routing', async () => {
       const servicesMap = {
         'read-service': {
@@ -0,0 +1,51 @@
+const healthcheckRegistry = require('../src/services/healthcheckRegistry')
+
+describe('HealthcheckRegistry', () => {
+  describe('infer', () => {
+    test('should build pg_isready from POSTGRES_* environment', () => {
+      expect(healthcheckRegistry.infer({ image: 'postgres', environment: ['POSTGRES_USER=app'] }).command)
+        .toBe('pg_isready -h localhost -U app -d app')
+      expect(healthcheckRegistry.infer({ image: 'postgres' }).command)
+        .toBe('pg_isready -h localhost -U postgres -d postgres')
+    })
+
+    test('should ping redis with the configured password', () => {
+      expect(healthcheckRegistry.infer({ image: 'redis' }).command).toEqual(['redis-cli', 'ping'])
+      expect(healthcheckRegistry.infer({ image: 'redis', environment: { REDIS_PASSWORD: 's3cret' } }).command)
+        .toEqual(['redis-cli', '-a', 's3cret', 'ping'])
+    })
+
+    test('should cover mysql, mongo and nginx', () => {
+      expect(healthcheckRegistry.infer({ image: 'mysql', environment: { MYSQL_ROOT_PASSWORD: 'pw' } }).command)
+        .toBe('mysqladmin ping -h 127.0.0.1 -u root -ppw --silent')
+      expect(healthcheckRegistry.infer({ image: 'mongo' }).command).toContain('mongosh')
+      expect(healthcheckRegistry.infer({ image: 'nginx' })).toEqual({ http: '/' })
+    })
+
+    test('should match images from registries by their last segment', () => {
+      expect(healthcheckRegistry.infer({ image: 'docker.io/library/redis' })).not.toBeNull()
+      expect(healthcheckRegistry.infer({ image: 'bitnami/postgresql' })).toBeNull()
+    })
+
+    test('should skip services that define their own check', () => {
+      expect(healthcheckRegistry.infer({ image: 'redis', health: { tcp: 6379 } })).toBeNull()
+      expect(healthcheckRegistry.infer({ image: 'redis', healthcheck: { disable: true } })).toBeNull()
+      expect(healthcheckRegistry.infer({ image: 'postgres', role: 'job' })).toBeNull()
+    })
+
+    test('should prefer config rules over built-in ones', () => {
+      const config = { rules: [{ image: 'postgres', health: { tcp: 5432 } }] }
+
+      expect(healthcheckRegistry.infer({ image: 'postgres' }, config)).toEqual({ tcp: 5432 })
+      expect(healthcheckRegistry.infer({ image: 'postgres' }, { infer: false })).toBeNull()
+    })
+  })
+
+  describe('matches', () => {
+    test('should match globs against the full image when the pattern has a slash', () => {
+      expect(healthcheckRegistry.matches('ghcr.io/acme/*', 'ghcr.io/acme/api')).toBe(true)
+      expect(healthcheckRegistry.matches('ghcr.io/acme/*', 'ghcr.io/other/api')).toBe(false)
+      expect(healthcheckRegistry.matches('post*', 'postgres')).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,86 @@
+const imageBuilder = require('../src/services/imageBuilder')
+const composeInvoker = require('../src/services/composeInvoker')
+
+describe('ImageBuilder', () => {
+  const spec = {
+    services: {
+      'read-service': {
+        image: 'todo-read-service',
+        tag: 'pr-7',
+        build: {
+          context: '/repo/todo-app/src/todo-services',
+          dockerfile: 'read-service/Dockerfile',
+          target: 'production',
+          args: ['GITHUB_TOKEN', 'NODE_VERSION=20']
+        }
+      },
+      'write-service': { image: 'todo-write-service', build: '/repo/todo-app/src/todo-services' },
+      postgres: { image: 'postgres' }
+    }
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('getBuildTargets', () => {
+    test('should tag images like the generated compose file', () => {
+      expect(imageBuilder.getBuildTargets(spec).map(target => [target.service, target.image])).toEqual([
+        ['read-service', 'todo-read-service:pr-7'],
+        ['write-service', 'todo-write-service:latest']
+      ])
+    })
+
+    test('should reject unknown or non-buildable services', () => {
+      expect(() => imageBuilder.getBuildTargets(spec, ['api'])).toThrow('Unknown service \'api\'')
+      expect(() => imageBuilder.getBuildTargets(spec, ['postgres'])).toThrow('Service \'postgres\' has no build section')
+    })
+  })
+
+  describe('dockerBuildArgs', () => {
+    test('should map the build section to docker build arguments', () => {
+      const [target] = imageBuilder.getBuildTargets(spec, ['read-service'])
+
+      expect(imageBuilder.dockerBuildArgs(target, { buildArgs: ['NODE_VERSION=22'], noCache: true })).toEqual([
+        'build', '-t', 'todo-read-service:pr-7',
+        '-f', '/repo/todo-app/src/todo-services/read-service/Dockerfile',
+        '--target', 'production',
+        '--build-arg', 'GITHUB_TOKEN',
+        '--build-arg', 'NODE_VERSION=22',
+        '--no-cache',
+        '/repo/todo-app/src/todo-services'
+      ])
+    })
+  })
+
+  describe('build', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+    })
+
+    test('should build sequentially and report failures per service', async () => {
+      const execSpy = jest.spyOn(composeInvoker, 'execCommand')
+        .mockResolvedValueOnce({ exitCode: 0 })
+        .mockRejectedValueOnce(new Error('Command failed with exit code 1'))
+
+      const results = await imageBuilder.build(spec)
+
+      expect(results).toEqual([
+        { service: 'read-service', image: 'todo-read-service:pr-7', success: true },
+        { service: 'write-service', image: 'todo-write-service:latest', success: false, error: 'Command failed with exit code 1' }
+      ])
+      expect(execSpy.mock.calls[0][2]).toEqual(expect.objectContaining({ stdio: 'inherit' }))
+    })
+
+    test('should collect output of parallel builds', async () => {
+      const execSpy = jest.spyOn(composeInvoker, 'execCommand').mockResolvedValue({ exitCode: 0 })
+
+      const results = await imageBuilder.build(spec, { parallel: true, services: ['write-service'] })
+
+      expect(results).toEqual([{ service: 'write-service', image: 'todo-write-service:latest', success: true }])
+      expect(execSpy).toHaveBeenCalledWith('docker',
+        ['build', '-t', 'todo-write-service:latest', '/repo/todo-app/src/todo-services'],
+        expect.objectContaining({ stdio: 'pipe' }))
+    })
+  })
+})
@@ -106,7 +106,7 @@ describe('Integration Tests', () => {
     })
 
     test('should generate docker-compose file', async () => {
-      const outputPath = path.join(process.cwd(), 'xq-compose.yml')
+      const outputPath = path.join(process.cwd(), '.xq', 'xq-compose.yml')
       const result = await runCLI(['generate', '-f', testSpecPath])
 
       expect(result.code).toBe(0)
@@ -122,8 +122,17 @@ describe('Integration Tests', () => {
       expect(compose.services).toHaveProperty('xq-gateway')
     })
 
+    test('should generate into the file given with -c', async () => {
+      const composeFile = path.join(tempDir, 'env', 'compose.yml')
+      const result = await runCLI(['generate', '-f', testSpecPath, '-c', composeFile])
+
+      expect(result.code).toBe(0)
+      expect(await fs.pathExists(composeFile)).toBe(true)
+      expect(await fs.readJson(path.join(tempDir, 'env', 'xq-state.json'))).toMatchObject({ spec: testSpecPath })
+    })
+
     test('should generate compose without gateway', async () => {
-      const outputPath = path.join(process.cwd(), 'xq-compose.yml')
+      const outputPath = path.join(process.cwd(), '.xq', 'xq-compose.yml')
       const result = await runCLI(['generate', '-f', testSpecPath, '--no-gateway'])
 
       expect(result.code).toBe(0)
@@ -153,6 +162,16 @@ describe('Integration Tests', () => {
       expect(result.code).toBe(2)
       expect(result.stderr).toContain('Failed to generate compose file')
     })
+
+    test('should not start anything when run cannot generate the compose file', async () => {
+      const nonExistentPath = path.join(tempDir, 'does-not-exist.yaml')
+
+      const result = await runCLI(['run', '-f', nonExistentPath, '--', 'node', '-e', 'process.exit(0)'])
+
+      expect(result.code).toBe(2)
+      expect(result.stderr).toContain('Failed to generate compose file')
+      expect(result.stdout).not.toContain('Running node')
+    })
   })
 
   describe('Docker Integration', () => {
@@ -163,7 +182,7 @@ describe('Integration Tests', () => {
         return
       }
 
-      composePath = path.join(process.cwd(), 'xq-compose.yml')
+      composePath = path.join(process.cwd(), '.xq', 'xq-compose.yml')
       const generateResult = await runCLI(['generate', '-f', testSpecPath])
       expect(generateResult.code).toBe(0)
     })
@@ -252,27 +271,41 @@ describe('Integration Tests', () => {
       await runCLI(['down'])
     }, 60000) // Longer timeout for image pulling
 
-    test('should handle invalid compose file for up command', async () => {
-      // Remove xq-compose.yml so up command fails
-      const composeFile = path.join(process.cwd(), 'xq-compose.yml')
-      if (await fs.pathExists(composeFile)) {
-        await fs.remove(composeFile)
+    test('should run a host command and tear down with its exit code', async () => {
+      if (!dockerIsAvailable) {
+        console.warn('Skipping Docker test - Docker not available')
+        return
       }
 
-      const result = await runCLI(['up'])
+      await runCLI(['down'])
+      const result = await runCLI([
+        'run', '-f', testSpecPath, '--no-pull', '--',
+        'node', '-e', 'process.exit(process.env.XQ_ENV_MANIFEST ? 4 : 0)'
+      ])
+
+      expect(result.code).toBe(4)
+      expect(result.stdout).toContain('Environment torn down')
+
+      const psResult = await new Promise((resolve) => {
+        const child = spawn('docker', ['ps', '--format', '{{.Names}}'], { stdio: 'pipe' })
+        let stdout = ''
+        child.stdout.on('data', (data) => { stdout += data.toString() })
+        child.on('exit', (code) => resolve({ code, stdout }))
+      })
+      expect(psResult.stdout).not.toMatch(/nginx-test|redis-test/)
+    }, 120000)
+
+    test('should handle invalid compose file for up command', async () => {
+      // An empty workspace has no xq-compose.yml, so up command fails
+      const result = await runCLI(['up', '--workspace', path.join(tempDir, 'empty')])
 
       expect(result.code).toBe(3)
       expect(result.stderr).toContain('Failed to run up')
     })
 
     test('should handle invalid compose file for down command', async () => {
-      // Remove xq-compose.yml so down command fails
-      const composeFile = path.join(process.cwd(), 'xq-compose.yml')
-      if (await fs.pathExists(composeFile)) {
-        await fs.remove(composeFile)
-      }
-
-      const result = await runCLI(['down'])
+      // An empty workspace has no xq-compose.yml, so down command fails
+      const result = await runCLI(['down', '--workspace', path.join(tempDir, 'empty')])
 
       expect(result.code).toBe(4)
       expect(result.stderr).toContain('Failed to run down')
@@ -295,7 +328,7 @@ describe('Integration Tests', () => {
 
       await fs.writeFile(overridesPath, JSON.stringify(overrides, null, 2), 'utf8')
 
-      const outputPath = path.join(process.cwd(), 'xq-compose.yml')
+      const outputPath = path.join(process.cwd(), '.xq', 'xq-compose.yml')
       const result = await runCLI([
         'generate',
         '-f', testSpecPath,
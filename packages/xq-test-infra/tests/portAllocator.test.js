@@ -0,0 +1,69 @@
+const net = require('net')
+const PortAllocator = require('../src/services/portAllocator')
+
+describe('PortAllocator', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should extract host ports from mappings', () => {
+    expect(PortAllocator.hostPorts('5432:5432')).toEqual([5432])
+    expect(PortAllocator.hostPorts('127.0.0.1:8080:80')).toEqual([8080])
+    expect(PortAllocator.hostPorts('3000-3002:3000-3002/tcp')).toEqual([3000, 3001, 3002])
+    expect(PortAllocator.hostPorts('80')).toEqual([])
+  })
+
+  test('should report clashing manual ports between services', () => {
+    const allocator = new PortAllocator({ probe: false })
+    allocator.reserveMappings(['5432:5432'], 'postgres')
+
+    expect(() => allocator.reserveMappings(['127.0.0.1:5432:5432'], 'postgres-copy'))
+      .toThrow('Port conflict: host port 5432 is used by both \'postgres\' and \'postgres-copy\'')
+  })
+
+  test('should allow a service to map the same host port twice', () => {
+    const allocator = new PortAllocator({ probe: false })
+
+    expect(() => allocator.reserveMappings(['8080:80', '8080:80/udp'], 'web')).not.toThrow()
+  })
+
+  test('should skip reserved ports', async () => {
+    const allocator = new PortAllocator({ start: 4000, probe: false })
+    allocator.reserveMappings(['4000:80', '4001:80'], 'web')
+
+    await expect(allocator.nextFree()).resolves.toBe(4002)
+  })
+
+  test('should skip ports bound on the host', async () => {
+    jest.spyOn(PortAllocator, 'isPortFree').mockImplementation(async port => port !== 4000)
+    const allocator = new PortAllocator({ start: 4000 })
+
+    await expect(allocator.nextFree()).resolves.toBe(4001)
+  })
+
+  test('should fail when the range is exhausted', async () => {
+    const allocator = new PortAllocator({ start: 4000, end: 4001, probe: false })
+    allocator.reserveMappings(['4000-4001:80-81'], 'web')
+
+    await expect(allocator.nextFree()).rejects.toThrow('No free host port available in range 4000-4001')
+  })
+
+  test('should reject an inverted range', () => {
+    expect(() => new PortAllocator({ start: 5000, end: 4000 }))
+      .toThrow('Invalid port range: start 5000 is greater than end 4000')
+  })
+
+  test('should detect a port that is already listening', async () => {
+    const server = net.createServer()
+    await new Promise(resolve => server.listen(0, '0.0.0.0', resolve))
+    const { port } = server.address()
+
+    try {
+      await expect(PortAllocator.isPortFree(port)).resolves.toBe(false)
+    } finally {
+      await new Promise(resolve => server.close(resolve))
+    }
+
+    await expect(PortAllocator.isPortFree(port)).resolves.toBe(true)
+  })
+})
@@ -363,6 +363,31 @@ describe('ServiceLoader', () => {
         .toThrow('depends on non-existent service')
     })
 
+    test('should validate long-form depends_on', async () => {
+      const spec = {
+        services: {
+          migrate: { image: 'migrate', depends_on: { api: { condition: 'service_started' } } },
+          api: {
+            image: 'api',
+            depends_on: {
+              migrate: { condition: 'service_completed_successfully' },
+              tracing: { required: false }
+            }
+          }
+        }
+      }
+
+      expect(() => serviceLoader.validateDependencies(spec))
+        .toThrow('Circular dependency')
+
+      delete spec.services.migrate.depends_on
+      expect(() => serviceLoader.validateDependencies(spec)).not.toThrow()
+
+      spec.services.api.depends_on.tracing = { condition: 'service_started' }
+      expect(() => serviceLoader.validateDependencies(spec))
+        .toThrow('Service \'api\' depends on non-existent service \'tracing\'')
+    })
+
     test('should detect circular dependencies', async () => {
       const spec = {
         services: {
@@ -605,4 +630,323 @@ describe('ServiceLoader', () => {
       expect(result.dependencies).toEqual({ database: ['postgres'] })
     })
   })
-})
\ No newline at end of file
+
+  describe('environment interpolation', () => {
+    afterEach(() => {
+      delete process.env.XQ_TEST_TAG
+    })
+
+    test('should resolve variables from .env next to the service files', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'api.service.yml'),
+        'image: api\ntag: ${API_TAG:-latest}\nport: ${API_PORT}\nenvironment:\n  DB_PASSWORD: ${DB_PASSWORD:?required}\n',
+        'utf8'
+      )
+      await fs.writeFile(path.join(tempDir, '.env'), 'API_PORT=3000\nDB_PASSWORD=secret\n', 'utf8')
+
+      const result = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(result.services.api).toEqual({
+        image: 'api',
+        tag: 'latest',
+        port: 3000,
+        environment: { DB_PASSWORD: 'secret' }
+      })
+    })
+
+    test('should prefer process environment over .env file', async () => {
+      process.env.XQ_TEST_TAG = 'pr-123'
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: api\ntag: ${XQ_TEST_TAG}\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, '.env'), 'XQ_TEST_TAG=from-file\n', 'utf8')
+
+      const result = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(result.services.api.tag).toBe('pr-123')
+    })
+
+    test('should use explicit env option', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: api\ntag: ${TAG}\n', 'utf8')
+
+      const result = await serviceLoader.loadFromDirectory(tempDir, { env: { TAG: 'v2' } })
+
+      expect(result.services.api.tag).toBe('v2')
+    })
+
+    test('should interpolate xq.config.yml', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: api\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'portRange:\n  start: ${PORT_START:-4000}\n', 'utf8')
+
+      const result = await serviceLoader.loadFromDirectory(tempDir, { env: {} })
+
+      expect(result.portRange).toEqual({ start: 4000 })
+    })
+
+    test('should report missing required variable with file and path', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'api.service.yml'),
+        'image: api\nenvironment:\n  DB_PASSWORD: ${DB_PASSWORD:?set DB_PASSWORD}\n',
+        'utf8'
+      )
+
+      await expect(serviceLoader.loadFromDirectory(tempDir, { env: {} }))
+        .rejects.toThrow('Failed to interpolate api.service.yml at environment.DB_PASSWORD: Required variable \'DB_PASSWORD\' is not set: set DB_PASSWORD')
+    })
+  })
+
+  describe('profiles', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'postgres.service.yml'),
+        YAML.stringify({ image: 'postgres', tag: '15', ports: ['5432:5432'], environment: { POSTGRES_DB: 'app' } }),
+        'utf8'
+      )
+      await fs.writeFile(
+        path.join(tempDir, 'api.service.yml'),
+        YAML.stringify({ image: 'api', tag: 'latest', port: 3000, environment: { NODE_ENV: 'production' }, dependencyGroups: ['database'] }),
+        'utf8'
+      )
+      await fs.writeFile(
+        path.join(tempDir, 'debug-tools.service.yml'),
+        YAML.stringify({ image: 'busybox' }),
+        'utf8'
+      )
+      await fs.writeFile(
+        path.join(tempDir, 'xq.config.yml'),
+        YAML.stringify({
+          dependencies: { database: ['postgres'] },
+          profiles: {
+            ci: {
+              exclude: ['debug-tools'],
+              services: {
+                api: { tag: 'pr-123', environment: { LOG_LEVEL: 'debug' } },
+                postgres: { ports: ['15432:5432'] }
+              }
+            },
+            minimal: { include: ['postgres'] },
+            broken: { exclude: ['postgres'] },
+            typo: { services: { apii: { tag: 'x' } } }
+          }
+        }),
+        'utf8'
+      )
+    })
+
+    test('should load all services without a profile', async () => {
+      const result = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(Object.keys(result.services)).toEqual(['api', 'debug-tools', 'postgres'])
+      expect(result).not.toHaveProperty('profiles')
+    })
+
+    test('should apply profile overrides and exclusions', async () => {
+      const result = await serviceLoader.loadFromDirectory(tempDir, { profile: 'ci' })
+
+      expect(Object.keys(result.services)).toEqual(['api', 'postgres'])
+      expect(result.services.api.tag).toBe('pr-123')
+      expect(result.services.api.environment).toEqual({ NODE_ENV: 'production', LOG_LEVEL: 'debug' })
+      expect(result.services.postgres.ports).toEqual(['15432:5432'])
+      expect(result.services.postgres.environment).toEqual({ POSTGRES_DB: 'app' })
+    })
+
+    test('should restrict services with include', async () => {
+      const result = await serviceLoader.loadFromDirectory(tempDir, { profile: 'minimal' })
+
+      expect(Object.keys(result.services)).toEqual(['postgres'])
+    })
+
+    test('should throw for unknown profile', async () => {
+      await expect(serviceLoader.loadFromDirectory(tempDir, { profile: 'staging' }))
+        .rejects.toThrow('Profile \'staging\' not found. Available profiles: ci, minimal, broken, typo')
+    })
+
+    test('should throw when profile overrides unknown service', async () => {
+      await expect(serviceLoader.loadFromDirectory(tempDir, { profile: 'typo' }))
+        .rejects.toThrow('Profile \'typo\' services references unknown service \'apii\'')
+    })
+
+    test('should throw when profile removes a required dependency', async () => {
+      await expect(serviceLoader.loadFromDirectory(tempDir, { profile: 'broken' }))
+        .rejects.toThrow('Profile \'broken\' removes service \'postgres\' required by \'api\' through dependency group \'database\'')
+    })
+  })
+
+  describe('applyProfile with long-form dependencies', () => {
+    test('should check dependency groups written as maps', () => {
+      const spec = {
+        dependencies: { database: { postgres: { condition: 'service_healthy' } } },
+        services: {
+          postgres: { image: 'postgres' },
+          api: { image: 'api', dependencyGroups: { database: { condition: 'service_healthy' } } }
+        }
+      }
+      const globalConfig = { profiles: { apiOnly: { include: ['api'] } } }
+
+      expect(() => serviceLoader.applyProfile(spec, globalConfig, 'apiOnly'))
+        .toThrow('Profile \'apiOnly\' removes service \'postgres\' required by \'api\' through dependency group \'database\'')
+    })
+  })
+
+  describe('extends', () => {
+    test('should resolve templates from xq.config.yml', async () => {
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), YAML.stringify({
+        dependencies: { database: ['postgres'] },
+        templates: {
+          'db-client': {
+            environment: { DB_HOST: 'postgres', DB_PORT: '5432' },
+            dependencyGroups: ['database']
+          },
+          'node-service': { extends: 'db-client', image: 'node', tag: '20-alpine', environment: { NODE_ENV: 'test' } }
+        }
+      }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'postgres.service.yml'), YAML.stringify({ image: 'postgres' }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), YAML.stringify({
+        extends: 'node-service',
+        port: 3000,
+        environment: ['DB_PORT=6543', 'SERVICE=api']
+      }), 'utf8')
+
+      const spec = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(spec.services.api).toEqual({
+        image: 'node',
+        tag: '20-alpine',
+        port: 3000,
+        dependencyGroups: ['database'],
+        environment: { DB_HOST: 'postgres', DB_PORT: '6543', NODE_ENV: 'test', SERVICE: 'api' }
+      })
+      expect(spec.templates).toBeUndefined()
+    })
+
+    test('should extend other services and apply list directives', () => {
+      const services = serviceLoader.resolveExtends({
+        'read-service': { image: 'read', volumes: ['./a:/a'], environment: { MODE: 'read' } },
+        'write-service': { extends: 'read-service', image: 'write', volumes: { $append: ['./b:/b'] }, environment: { MODE: null } }
+      })
+
+      expect(services['write-service']).toEqual({ image: 'write', volumes: ['./a:/a', './b:/b'], environment: {} })
+      expect(services['read-service']).toEqual({ image: 'read', volumes: ['./a:/a'], environment: { MODE: 'read' } })
+    })
+
+    test('should apply multiple parents in order', () => {
+      const services = serviceLoader.resolveExtends(
+        { api: { extends: ['base', 'debug'], image: 'api' } },
+        { base: { tag: '1.0', command: 'start' }, debug: { command: 'start --inspect' } }
+      )
+
+      expect(services.api).toEqual({ image: 'api', tag: '1.0', command: 'start --inspect' })
+    })
+
+    test('should detect circular extends', () => {
+      expect(() => serviceLoader.resolveExtends(
+        { api: { extends: 'a', image: 'api' } },
+        { a: { extends: 'b' }, b: { extends: 'a' } }
+      )).toThrow('Circular extends: a -> b -> a')
+    })
+
+    test('should reject unknown references', () => {
+      expect(() => serviceLoader.resolveExtends({ api: { extends: 'missing' } }))
+        .toThrow('Service \'api\' extends unknown template or service \'missing\'')
+    })
+
+    test('should reject services without an image after resolving', () => {
+      expect(() => serviceLoader.resolveExtends({ api: { extends: 'base' } }, { base: { tag: '1.0' } }))
+        .toThrow('Service \'api\' has no image after resolving extends')
+    })
+  })
+
+  describe('defaults', () => {
+    test('should apply defaults from xq.config.yml underneath each service', async () => {
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), YAML.stringify({
+        defaults: {
+          tag: '1.2.3',
+          restart: 'on-failure',
+          environment: { NODE_ENV: 'test', LOG_LEVEL: 'info' },
+          labels: { team: 'xq' },
+          networks: ['shared-infra'],
+          healthcheck: { interval: '5s', retries: 10 }
+        }
+      }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), YAML.stringify({
+        image: 'api',
+        environment: ['LOG_LEVEL=debug'],
+        healthcheck: { test: ['CMD', 'true'], retries: 3 }
+      }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'db.service.yml'), YAML.stringify({
+        image: 'postgres',
+        tag: '15',
+        restart: 'always'
+      }), 'utf8')
+
+      const spec = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(spec.services.api).toEqual({
+        image: 'api',
+        tag: '1.2.3',
+        restart: 'on-failure',
+        networks: ['shared-infra'],
+        environment: { NODE_ENV: 'test', LOG_LEVEL: 'debug' },
+        labels: { team: 'xq' },
+        healthcheck: { test: ['CMD', 'true'], interval: '5s', retries: 3 }
+      })
+      expect(spec.services.db.tag).toBe('15')
+      expect(spec.services.db.restart).toBe('always')
+      expect(spec.services.db.healthcheck).toBeUndefined()
+      expect(spec.defaults).toBeUndefined()
+    })
+
+    test('should apply defaults before templates', () => {
+      const services = serviceLoader.applyDefaults(
+        serviceLoader.resolveExtends({ api: { extends: 'base', image: 'api' } }, { base: { tag: 'template' } }),
+        { tag: 'default', environment: { A: '1' } }
+      )
+
+      expect(services.api).toEqual({ image: 'api', tag: 'template', environment: { A: '1' } })
+    })
+
+    test('should apply healthcheck timing to the health shorthand', () => {
+      const services = serviceLoader.applyDefaults(
+        { api: { image: 'api', health: { http: '/health', retries: 3 } } },
+        { healthcheck: { interval: '2s', retries: 10 } }
+      )
+
+      expect(services.api.health).toEqual({ http: '/health', interval: '2s', retries: 3 })
+    })
+
+    test('should return services unchanged without defaults', () => {
+      const services = { api: { image: 'api', environment: ['A=1'] } }
+
+      expect(serviceLoader.applyDefaults(services, undefined)).toBe(services)
+    })
+  })
+
+  describe('build contexts', () => {
+    test('should resolve build contexts against the service directory', async () => {
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), YAML.stringify({
+        templates: { node: { build: { context: '../src', target: 'production' } } }
+      }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), YAML.stringify({
+        extends: 'node',
+        image: 'api',
+        build: { dockerfile: 'api/Dockerfile' }
+      }), 'utf8')
+      await fs.writeFile(path.join(tempDir, 'web.service.yml'), YAML.stringify({ image: 'web', build: 'web' }), 'utf8')
+
+      const spec = await serviceLoader.loadFromDirectory(tempDir)
+
+      expect(spec.services.api.build).toEqual({
+        context: path.resolve(tempDir, '../src'),
+        target: 'production',
+        dockerfile: 'api/Dockerfile'
+      })
+      expect(spec.services.web.build).toEqual({ context: path.join(tempDir, 'web') })
+    })
+  })
+
+  describe('mergeEnvironment', () => {
+    test('should merge map and list forms', () => {
+      const result = serviceLoader.mergeEnvironment(['A=1', 'B=2=3', 'C'], { B: 'x' })
+
+      expect(result).toEqual({ A: '1', B: 'x', C: null })
+    })
+  })
+})
@@ -0,0 +1,212 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const YAML = require('yaml')
+const specValidator = require('../src/services/specValidator')
+
+describe('SpecValidator', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `xq-validator-test-${Date.now()}`)
+    await fs.ensureDir(tempDir)
+  })
+
+  afterEach(async () => {
+    await fs.remove(tempDir)
+  })
+
+  describe('validate single-file spec', () => {
+    test('should accept a valid spec', async () => {
+      const specPath = path.join(tempDir, 'xq.yaml')
+      await fs.writeFile(specPath, YAML.stringify({
+        portRange: { start: 3000 },
+        dependencies: { database: ['postgres'] },
+        services: {
+          postgres: { image: 'postgres', tag: 15, ports: ['5432:5432'] },
+          api: {
+            image: 'node',
+            port: 3000,
+            environment: { NODE_ENV: 'test', DEBUG: true },
+            dependencyGroups: ['database'],
+            routes: [{ methods: ['GET'], paths: ['/api/*'] }]
+          }
+        }
+      }), 'utf8')
+
+      const result = await specValidator.validate(specPath)
+
+      expect(result).toEqual({ valid: true, errors: [] })
+    })
+
+    test('should report every error with line and path', async () => {
+      const specPath = path.join(tempDir, 'xq.yaml')
+      await fs.writeFile(specPath, [
+        'services:',
+        '  api:',
+        '    image: node',
+        '    dependencyGroup:',
+        '      - database',
+        '    ports: 5432',
+        '  web:',
+        '    tag: latest'
+      ].join('\n'), 'utf8')
+
+      const { valid, errors } = await specValidator.validate(specPath)
+
+      expect(valid).toBe(false)
+      expect(errors).toEqual([
+        expect.objectContaining({ file: specPath, line: 4, column: 5, path: 'services.api.dependencyGroup', message: 'unknown property \'dependencyGroup\'' }),
+        expect.objectContaining({ line: 6, column: 5, path: 'services.api.ports', message: 'must be array' }),
+        expect.objectContaining({ line: 7, column: 3, path: 'services.web', message: 'missing required property \'image\'' })
+      ])
+    })
+
+    test('should report YAML syntax errors', async () => {
+      const specPath = path.join(tempDir, 'invalid.yaml')
+      await fs.writeFile(specPath, 'services:\n  api: [unclosed\n', 'utf8')
+
+      const { valid, errors } = await specValidator.validate(specPath)
+
+      expect(valid).toBe(false)
+      expect(errors[0].file).toBe(specPath)
+      expect(errors[0].line).toBeGreaterThan(0)
+    })
+
+    test('should report non-existent path', async () => {
+      const { valid, errors } = await specValidator.validate(path.join(tempDir, 'missing.yaml'))
+
+      expect(valid).toBe(false)
+      expect(errors[0].message).toBe('path does not exist')
+    })
+  })
+
+  describe('validate directory', () => {
+    test('should validate service files and xq.config.yml', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\nport: "3000"\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'db.service.yml'), 'image: postgres\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'portRange:\n  begin: 3000\n', 'utf8')
+
+      const { valid, errors } = await specValidator.validate(tempDir)
+
+      expect(valid).toBe(false)
+      expect(errors).toHaveLength(2)
+      expect(errors[0]).toEqual(expect.objectContaining({
+        file: path.join(tempDir, 'api.service.yml'),
+        line: 2,
+        path: 'port',
+        message: 'must be integer'
+      }))
+      expect(errors[1]).toEqual(expect.objectContaining({
+        file: path.join(tempDir, 'xq.config.yml'),
+        line: 2,
+        path: 'portRange.begin'
+      }))
+    })
+
+    test('should validate interpolated values', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\nport: ${API_PORT}\nenvironment:\n  PW: ${PW:?}\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, '.env'), 'API_PORT=3000\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors).toEqual([expect.objectContaining({
+        line: 4,
+        path: 'environment.PW',
+        message: 'Required variable \'PW\' is not set'
+      })])
+    })
+
+    test('should allow services without image when they extend a template', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'extends: node-service\nport: 3000\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'db.service.yml'), 'port: 5432\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'templates:\n  node-service:\n    tag: 20-alpine\n    tags: x\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors.map(error => `${path.basename(error.file)} ${error.path}: ${error.message}`)).toEqual([
+        'db.service.yml : missing required property \'image\'',
+        'xq.config.yml templates.node-service.tags: unknown property \'tags\''
+      ])
+    })
+
+    test('should validate defaults in xq.config.yml', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'defaults:\n  restart: sometimes\n  healthcheck:\n    test: [CMD, "true"]\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors.map(error => error.path)).toEqual(['defaults.restart', 'defaults.healthcheck.test'])
+    })
+
+    test('should validate depends_on conditions', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\ndepends_on:\n  db:\n    condition: service_ready\ndependencyGroups:\n  database:\n    condition: service_healthy\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'dependencies:\n  database:\n    postgres:\n      condition: service_healthy\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors.map(error => error.path)).toEqual(['depends_on.db.condition'])
+    })
+
+    test('should validate healthcheck rules in xq.config.yml', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'xq.config.yml'), 'healthchecks:\n  infer: yes please\n  rules:\n    - image: kafka\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors.map(error => `${error.path}: ${error.message}`)).toEqual([
+        'healthchecks.infer: must be boolean',
+        'healthchecks.rules.0: missing required property \'health\''
+      ])
+    })
+
+    test('should require exactly one health check type', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\nhealth:\n  http: /health\n  tcp: 3000\n', 'utf8')
+      await fs.writeFile(path.join(tempDir, 'db.service.yml'), 'image: postgres\nhealth:\n  interval: 5s\n', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors.map(error => `${error.path}: ${error.message}`)).toEqual([
+        'health: must define exactly one of: http, tcp, command',
+        'health: must define exactly one of: http, tcp, command'
+      ])
+    })
+
+    test('should report empty service files', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), '', 'utf8')
+
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors).toEqual([expect.objectContaining({ message: 'file is empty' })])
+    })
+
+    test('should report directory without service files', async () => {
+      const { errors } = await specValidator.validate(tempDir)
+
+      expect(errors[0].message).toContain('no service files')
+    })
+  })
+
+  describe('assertValid', () => {
+    test('should throw listing all errors', async () => {
+      await fs.writeFile(path.join(tempDir, 'api.service.yml'), 'image: node\nports: 3000\n', 'utf8')
+
+      await expect(specValidator.assertValid(tempDir))
+        .rejects.toThrow(/Spec validation failed with 1 error\(s\):\n.*api\.service\.yml:2:1 ports: must be array/)
+    })
+  })
+
+  describe('formatError', () => {
+    test('should format file, line, path and message', () => {
+      const formatted = specValidator.formatError({
+        file: path.join(process.cwd(), 'services', 'api.service.yml'),
+        line: 3,
+        column: 1,
+        path: 'ports',
+        message: 'must be array'
+      })
+
+      expect(formatted).toBe(`${path.join('services', 'api.service.yml')}:3:1 ports: must be array`)
+    })
+  })
+})
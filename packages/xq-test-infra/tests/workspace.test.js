@@ -0,0 +1,58 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const workspace = require('../src/services/workspace')
+
+describe('workspace', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `xq-workspace-${Date.now()}`)
+    await fs.ensureDir(tempDir)
+  })
+
+  afterEach(async () => {
+    await fs.remove(tempDir)
+  })
+
+  test('should resolve the workspace against the current directory', () => {
+    expect(workspace.resolveWorkspaceDir(undefined, '/work')).toBe('/work/.xq')
+    expect(workspace.resolveWorkspaceDir('envs/ci', '/work')).toBe('/work/envs/ci')
+    expect(workspace.resolveWorkspaceDir('/tmp/xq', '/work')).toBe('/tmp/xq')
+  })
+
+  test('should derive the project name from the directory like compose does', () => {
+    expect(workspace.defaultProjectName('/work/My.Project')).toBe('myproject')
+    expect(workspace.defaultProjectName('/work/_todo-app')).toBe('todo-app')
+    expect(workspace.defaultProjectName('/work/...')).toBeUndefined()
+  })
+
+  test('should write and read the state file', async () => {
+    const stateFile = path.join(tempDir, 'xq-state.json')
+    await workspace.writeState(stateFile, { spec: '/work/services', projectName: 'work' })
+
+    expect(await workspace.readState(stateFile)).toEqual({ version: 1, spec: '/work/services', projectName: 'work' })
+    expect(await workspace.readState(path.join(tempDir, 'missing.json'))).toBeNull()
+  })
+
+  test('should report an unreadable state file', async () => {
+    const stateFile = path.join(tempDir, 'xq-state.json')
+    await fs.writeFile(stateFile, '{ not json')
+
+    await expect(workspace.readState(stateFile)).rejects.toThrow(`Failed to read workspace state ${stateFile}`)
+  })
+
+  test('should complete paths with the recorded spec and project', async () => {
+    const stateFile = path.join(tempDir, 'xq-state.json')
+    await workspace.writeState(stateFile, { spec: '/work/services', projectName: 'work' })
+
+    expect(await workspace.withState({ stateFile, projectName: undefined }))
+      .toEqual({ stateFile, projectName: 'work', spec: '/work/services' })
+    // Named environments keep their own project
+    expect(await workspace.withState({ stateFile, projectName: 'xq-pr-7' }))
+      .toEqual({ stateFile, projectName: 'xq-pr-7', spec: '/work/services' })
+    // Files generated by older versions have no state
+    expect(await workspace.withState({ stateFile: path.join(tempDir, 'missing.json'), projectName: undefined }))
+      .toEqual({ stateFile: path.join(tempDir, 'missing.json'), projectName: undefined, spec: null })
+  })
+})
@@ -0,0 +1,157 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const { XqEnvironment } = require('../src')
+const PortAllocator = require('../src/services/portAllocator')
+
+describe('XqEnvironment', () => {
+  let tempDir
+  let servicesDir
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `xq-environment-${Date.now()}`)
+    servicesDir = path.join(tempDir, 'services')
+    await fs.outputFile(path.join(servicesDir, 'api.service.yml'), 'image: api\nport: 3000\n')
+    await fs.outputFile(path.join(servicesDir, 'worker.service.yml'), 'image: worker\n')
+    await fs.outputFile(path.join(servicesDir, 'db-migrate.service.yml'), 'role: job\nimage: migrate\n')
+    jest.spyOn(PortAllocator, 'isPortFree').mockResolvedValue(true)
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(tempDir)
+  })
+
+  const mockDocker = (env, statuses) => {
+    jest.spyOn(env.invoker, 'detectDockerCompose').mockResolvedValue({ command: 'docker', args: ['compose'] })
+    jest.spyOn(env.invoker, 'getServiceStatuses').mockResolvedValue(statuses)
+    return jest.spyOn(env.invoker, 'execCommand').mockResolvedValue({ exitCode: 0, stdout: 'api-1  | listening', stderr: '' })
+  }
+
+  test('should generate files into the output directory and resolve service URLs', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, envName: 'pr-7', portOffset: 0 })
+
+    expect(env.paths.composeFile).toBe(path.join(tempDir, 'xq-compose.pr-7.yml'))
+    expect(await fs.pathExists(env.paths.manifestFile)).toBe(true)
+    expect(env.url('api')).toBe('http://localhost:3000')
+    // No published port, reached through the gateway
+    expect(env.url('worker')).toMatch(/^http:\/\/localhost:\d+\/worker$/)
+    expect(() => env.url('db-migrate')).toThrow('Service \'db-migrate\' has no published port and is not routed through the gateway')
+    expect(() => env.url('cache')).toThrow('Unknown service \'cache\'')
+  })
+
+  test('should use the .xq workspace and the project recorded there', async () => {
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(tempDir)
+
+    const env = await XqEnvironment.fromDirectory(servicesDir)
+    const opened = await XqEnvironment.open()
+    cwd.mockRestore()
+
+    const projectName = path.basename(tempDir).toLowerCase().replace(/[^a-z0-9_-]/g, '')
+    expect(env.paths.composeFile).toBe(path.join(tempDir, '.xq', 'xq-compose.yml'))
+    expect(env.paths.spec).toBe(servicesDir)
+    expect(env.paths.projectName).toBe(projectName)
+    expect(opened.paths).toEqual(env.paths)
+  })
+
+  test('should apply set overrides', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, set: ['services.api.tag=pr-7'] })
+
+    expect(env.manifest.services.api.image).toBe('api:pr-7')
+  })
+
+  test('should open a generated environment without regenerating it', async () => {
+    expect(await XqEnvironment.open({ outputDir: tempDir, envName: 'pr-7' })).toBeNull()
+
+    const generated = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, envName: 'pr-7', portOffset: 0 })
+    const generateSpy = jest.spyOn(require('../src/services/composeGenerator'), 'generateCompose')
+    const env = await XqEnvironment.open({ outputDir: tempDir, envName: 'pr-7' })
+
+    expect(generateSpy).not.toHaveBeenCalled()
+    expect(env.paths).toEqual(generated.paths)
+    expect(env.url('api')).toBe('http://localhost:3000')
+  })
+
+  test('should report whether every service and job is ready', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, gateway: false })
+    mockDocker(env, {
+      'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+      api: { state: 'running', health: '' },
+      worker: { state: 'running', health: '' }
+    })
+    expect(await env.isReady()).toBe(true)
+
+    env.invoker.getServiceStatuses.mockResolvedValue({
+      'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+      api: { state: 'running', health: '' }
+    })
+    expect(await env.isReady()).toBe(false)
+  })
+
+  test('should start, wait and stop without process-wide side effects', async () => {
+    const listeners = ['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event))
+    const logSpy = jest.spyOn(console, 'log')
+
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir })
+    const execCommandSpy = mockDocker(env, {
+      'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+      api: { state: 'running', health: '' },
+      worker: { state: 'running', health: '' },
+      'xq-gateway': { state: 'running', health: 'healthy' }
+    })
+
+    await env.up({ pull: false })
+    await expect(env.logs('api', { tail: '10' })).resolves.toBe('api-1  | listening')
+    await env.down()
+
+    expect(execCommandSpy).toHaveBeenCalledWith('docker', expect.arrayContaining(['up', '-d']), expect.objectContaining({ stdio: 'pipe' }))
+    expect(execCommandSpy).toHaveBeenCalledWith('docker', expect.arrayContaining(['down']), expect.objectContaining({ stdio: 'pipe' }))
+    expect(['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event))).toEqual(listeners)
+    expect(logSpy).not.toHaveBeenCalled()
+    expect(await fs.pathExists(env.paths.composeFile)).toBe(false)
+    expect(await fs.pathExists(env.paths.manifestFile)).toBe(false)
+    expect(await fs.pathExists(env.paths.stateFile)).toBe(false)
+  })
+
+  test('should only start changed services when reusing a running environment', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, reuse: true })
+    const execCommandSpy = mockDocker(env, {
+      'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+      api: { state: 'running', health: '' },
+      worker: { state: 'running', health: '' },
+      'xq-gateway': { state: 'running', health: '' }
+    })
+    jest.spyOn(env.invoker, 'planReuse')
+      .mockResolvedValueOnce({ start: [], reuse: ['db-migrate', 'api', 'worker', 'xq-gateway'] })
+      .mockResolvedValueOnce({ start: ['api'], reuse: ['db-migrate', 'worker', 'xq-gateway'] })
+
+    await env.up({ reuse: true })
+    expect(execCommandSpy).not.toHaveBeenCalled()
+
+    await env.up({ reuse: true })
+    expect(execCommandSpy).toHaveBeenCalledWith('docker', expect.arrayContaining(['pull', 'api']), expect.any(Object))
+    expect(execCommandSpy).toHaveBeenCalledWith('docker', expect.arrayContaining(['up', '--no-deps', 'api']), expect.any(Object))
+  })
+
+  test('should throw with the failed jobs', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir })
+    mockDocker(env, { 'db-migrate': { state: 'exited', health: '', exitCode: 2 } })
+
+    const error = await env.up({ pull: false }).catch(err => err)
+
+    expect(error.message).toBe('Jobs did not complete: db-migrate (exited with code 2)')
+    expect(error.failures).toEqual([{ service: 'db-migrate', reason: 'exited with code 2' }])
+  })
+
+  test('should throw with the services that did not become ready', async () => {
+    const env = await XqEnvironment.fromDirectory(servicesDir, { outputDir: tempDir, gateway: false })
+    mockDocker(env, {
+      'db-migrate': { state: 'exited', health: '', exitCode: 0 },
+      api: { state: 'exited', health: '', exitCode: 1 },
+      worker: { state: 'running', health: '' }
+    })
+
+    await expect(env.up({ pull: false, timeout: 1000 }))
+      .rejects.toThrow('Services did not become ready: api (exited with code 1)')
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for loadEnvManifest and XqEnvManifest
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadEnvManifest, resolveEnvManifestPath, XqEnvManifest } from '../environment/env-manifest';
+import { XqEnvManifestData } from '../environment/types';
+
+const manifestData: XqEnvManifestData = {
+    version: 1,
+    envName: null,
+    projectName: null,
+    composeFile: '/work/xq-compose.yml',
+    gateway: { url: 'http://localhost:8081', hostPort: 8081, containerPort: 80 },
+    services: {
+        'todo-read-service': {
+            hostname: 'todo-read-service',
+            image: 'todo-read-service:latest',
+            ports: [{ host: 3001, container: 8080, protocol: 'tcp' }],
+            hostPort: 3001,
+            containerPort: 8080,
+            url: 'http://localhost:3001',
+            internalUrl: 'http://todo-read-service:8080',
+            gatewayUrl: 'http://localhost:8081/todo-read-service',
+            routes: [{ methods: ['GET'], paths: ['/todos/*'] }],
+        },
+        postgres: {
+            hostname: 'postgres',
+            image: 'postgres:15',
+            ports: [],
+            hostPort: null,
+            containerPort: 80,
+            url: null,
+            internalUrl: 'http://postgres:80',
+            gatewayUrl: 'http://localhost:8081/postgres',
+            routes: [],
+        },
+    },
+};
+
+describe('loadEnvManifest', () => {
+    let dir: string;
+    const originalEnv = process.env.XQ_ENV_MANIFEST;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'xq-env-'));
+        delete process.env.XQ_ENV_MANIFEST;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        rmSync(dir, { recursive: true, force: true });
+        if (originalEnv === undefined) {
+            delete process.env.XQ_ENV_MANIFEST;
+        } else {
+            process.env.XQ_ENV_MANIFEST = originalEnv;
+        }
+    });
+
+    it('loads a manifest from an explicit path', () => {
+        const manifestPath = join(dir, 'xq-env.json');
+        writeFileSync(manifestPath, JSON.stringify(manifestData));
+
+        const manifest = loadEnvManifest({ path: manifestPath });
+
+        expect(manifest.path).toBe(manifestPath);
+        expect(manifest.url('todo-read-service')).toBe('http://localhost:3001');
+        expect(manifest.gatewayUrl).toBe('http://localhost:8081');
+    });
+
+    it('resolves the path from XQ_ENV_MANIFEST', () => {
+        process.env.XQ_ENV_MANIFEST = join(dir, 'custom.json');
+
+        expect(resolveEnvManifestPath()).toBe(join(dir, 'custom.json'));
+    });
+
+    it('resolves the named environment manifest in the working directory', () => {
+        expect(resolveEnvManifestPath({ envName: 'pr-42' })).toBe(join(process.cwd(), 'xq-env.pr-42.json'));
+    });
+
+    it('prefers the manifest in the .xq workspace', () => {
+        mkdirSync(join(dir, '.xq'));
+        writeFileSync(join(dir, '.xq', 'xq-env.json'), JSON.stringify(manifestData));
+        jest.spyOn(process, 'cwd').mockReturnValue(dir);
+
+        expect(resolveEnvManifestPath()).toBe(join(dir, '.xq', 'xq-env.json'));
+        expect(resolveEnvManifestPath({ workspace: 'envs/ci', envName: 'pr-42' })).toBe(join(dir, 'envs', 'ci', 'xq-env.pr-42.json'));
+    });
+
+    it('rejects a missing manifest', () => {
+        expect(() => loadEnvManifest({ path: join(dir, 'missing.json') })).toThrow(
+            'Failed to load environment manifest'
+        );
+    });
+
+    it('rejects an unsupported version', () => {
+        const manifestPath = join(dir, 'xq-env.json');
+        writeFileSync(manifestPath, JSON.stringify({ ...manifestData, version: 2 }));
+
+        expect(() => loadEnvManifest({ path: manifestPath })).toThrow('Unsupported environment manifest version 2');
+    });
+});
+
+describe('XqEnvManifest', () => {
+    const manifest = new XqEnvManifest(manifestData);
+
+    it('lists service names', () => {
+        expect(manifest.serviceNames).toEqual(['todo-read-service', 'postgres']);
+    });
+
+    it('throws for unknown services', () => {
+        expect(() => manifest.service('nope')).toThrow(
+            "Service 'nope' not found in environment manifest. Available services: todo-read-service, postgres"
+        );
+    });
+
+    it('throws when a service publishes no host port', () => {
+        expect(() => manifest.url('postgres')).toThrow("Service 'postgres' does not publish a host port");
+    });
+
+    it('throws when the environment has no gateway', () => {
+        const withoutGateway = new XqEnvManifest({ ...manifestData, gateway: null });
+
+        expect(() => withoutGateway.gatewayUrl).toThrow('Environment has no gateway');
+    });
+});
@@ -76,6 +76,32 @@ describe('getComponentTestConfig', () => {
         });
     });
 
+    it('should make setupPath and teardownPath optional', () => {
+        const config = getComponentTestConfig({ testMatch: '<rootDir>/test/**/*.test.ts' });
+
+        expect(config.setupFilesAfterEnv).toBeUndefined();
+        expect(config.globalTeardown).toBeUndefined();
+    });
+
+    it('should use the xq global setup and teardown when xqEnvironment is provided', () => {
+        const config = getComponentTestConfig({
+            testMatch: '<rootDir>/test/**/*.test.ts',
+            setupPath: '<rootDir>/test/setup.ts',
+            xqEnvironment: { spec: 'test-env', profile: 'ci', reuse: true },
+        });
+
+        expect(config.globalSetup).toBe(require.resolve('../test-config/global-setup'));
+        expect(config.globalTeardown).toBe(require.resolve('../test-config/global-teardown'));
+        expect(config.globals).toEqual({ xqEnvironment: { spec: 'test-env', profile: 'ci', reuse: true } });
+        expect(config.setupFilesAfterEnv).toEqual(['<rootDir>/test/setup.ts']);
+    });
+
+    it('should reject teardownPath together with xqEnvironment', () => {
+        expect(() =>
+            getComponentTestConfig({ ...requiredOptions, xqEnvironment: { spec: 'test-env' } })
+        ).toThrow('teardownPath cannot be combined with xqEnvironment');
+    });
+
     it('should default tsconfigPath to <rootDir>/tsconfig.json', () => {
         const config = getComponentTestConfig(requiredOptions);
 
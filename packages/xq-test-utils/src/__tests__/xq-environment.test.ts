@@ -0,0 +1,182 @@
+/**
+ * Unit tests for startXqEnvironment, stopXqEnvironment and the Jest global setup/teardown
+ */
+
+import { XqEnvironment } from '@chauhaidang/xq-test-infra';
+import { serviceUrlVariable, startXqEnvironment, stopXqEnvironment } from '../environment/xq-environment';
+import globalSetup from '../test-config/global-setup';
+import globalTeardown from '../test-config/global-teardown';
+
+jest.mock('@chauhaidang/xq-test-infra', () => ({
+    XqEnvironment: {
+        fromDirectory: jest.fn(),
+        open: jest.fn(),
+    },
+}));
+
+const fromDirectory = XqEnvironment.fromDirectory as jest.Mock;
+const open = XqEnvironment.open as jest.Mock;
+
+function fakeEnvironment(ready = false) {
+    return {
+        paths: { manifestFile: '/work/.xq/xq-env.json' },
+        manifest: {
+            gateway: { url: 'http://localhost:8081', hostPort: 8081, containerPort: 80 },
+            services: {
+                'todo-read-service': { url: 'http://localhost:3001', gatewayUrl: 'http://localhost:8081/todo-read-service' },
+                worker: { url: null, gatewayUrl: 'http://localhost:8081/worker' },
+                'db-migrate': { url: null, gatewayUrl: null },
+            },
+        },
+        up: jest.fn().mockResolvedValue(undefined),
+        isReady: jest.fn().mockResolvedValue(ready),
+        saveLogs: jest.fn().mockResolvedValue([]),
+        down: jest.fn().mockResolvedValue(undefined),
+    };
+}
+
+describe('startXqEnvironment', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        jest.resetAllMocks();
+        process.env = { ...originalEnv };
+    });
+
+    it('derives env var names from service names', () => {
+        expect(serviceUrlVariable('todo-read-service')).toBe('XQ_SERVICE_TODO_READ_SERVICE_URL');
+        expect(serviceUrlVariable('api.v2')).toBe('XQ_SERVICE_API_V2_URL');
+    });
+
+    it('starts the environment and exports service URLs', async () => {
+        const environment = fakeEnvironment();
+        fromDirectory.mockResolvedValue(environment);
+
+        const started = await startXqEnvironment({ spec: 'test-env', profile: 'ci', timeout: 5000 }, '/work');
+
+        expect(fromDirectory).toHaveBeenCalledWith('/work/test-env', {
+            profile: 'ci',
+            set: undefined,
+            envName: undefined,
+            outputDir: '/work/.xq',
+            reuse: false,
+        });
+        expect(environment.up).toHaveBeenCalledWith({ timeout: 5000, reuse: false });
+        expect(started.owned).toBe(true);
+        expect(started.variables).toEqual({
+            XQ_ENV_MANIFEST: '/work/.xq/xq-env.json',
+            XQ_GATEWAY_URL: 'http://localhost:8081',
+            XQ_SERVICE_TODO_READ_SERVICE_URL: 'http://localhost:3001',
+            XQ_SERVICE_WORKER_URL: 'http://localhost:8081/worker',
+        });
+        expect(process.env.XQ_SERVICE_TODO_READ_SERVICE_URL).toBe('http://localhost:3001');
+    });
+
+    it('uses an environment that is already up without owning it', async () => {
+        const existing = fakeEnvironment(true);
+        open.mockResolvedValue(existing);
+
+        const started = await startXqEnvironment({ spec: 'test-env', envName: 'local' }, '/work');
+
+        expect(open).toHaveBeenCalledWith({ envName: 'local', outputDir: '/work/.xq' });
+        expect(fromDirectory).not.toHaveBeenCalled();
+        expect(existing.up).not.toHaveBeenCalled();
+        expect(started.owned).toBe(false);
+        expect(process.env.XQ_SERVICE_TODO_READ_SERVICE_URL).toBe('http://localhost:3001');
+
+        await stopXqEnvironment(started);
+        expect(existing.down).not.toHaveBeenCalled();
+    });
+
+    it('starts its own environment when the existing one is not ready', async () => {
+        open.mockResolvedValue(fakeEnvironment(false));
+        const environment = fakeEnvironment();
+        fromDirectory.mockResolvedValue(environment);
+
+        const started = await startXqEnvironment({ spec: 'test-env' }, '/work');
+
+        expect(environment.up).toHaveBeenCalled();
+        expect(started.owned).toBe(true);
+    });
+
+    it('saves logs and stops the environment when it does not come up', async () => {
+        const environment = fakeEnvironment();
+        environment.up.mockRejectedValue(new Error('Jobs did not complete: db-migrate (exited with code 2)'));
+        fromDirectory.mockResolvedValue(environment);
+
+        await expect(startXqEnvironment({ spec: 'test-env' }, '/work')).rejects.toThrow('Jobs did not complete');
+        expect(environment.saveLogs).toHaveBeenCalled();
+        expect(environment.down).toHaveBeenCalled();
+    });
+
+    it('reuses a long-lived environment without owning it', async () => {
+        const environment = fakeEnvironment();
+        fromDirectory.mockResolvedValue(environment);
+
+        const started = await startXqEnvironment({ spec: 'test-env', reuse: true, envName: 'local' }, '/work');
+
+        expect(open).not.toHaveBeenCalled();
+        expect(fromDirectory).toHaveBeenCalledWith('/work/test-env', expect.objectContaining({ envName: 'local', reuse: true }));
+        expect(environment.up).toHaveBeenCalledWith({ timeout: 120000, reuse: true });
+        expect(started.owned).toBe(false);
+        expect(process.env.XQ_ENV_MANIFEST).toBe('/work/.xq/xq-env.json');
+    });
+
+    it('leaves a reused environment running when it does not come up', async () => {
+        const environment = fakeEnvironment();
+        environment.up.mockRejectedValue(new Error('Services did not become ready: api (health: unhealthy)'));
+        fromDirectory.mockResolvedValue(environment);
+
+        await expect(startXqEnvironment({ spec: 'test-env', reuse: true }, '/work')).rejects.toThrow('Services did not become ready');
+        expect(environment.saveLogs).toHaveBeenCalled();
+        expect(environment.down).not.toHaveBeenCalled();
+    });
+
+    it('only stops environments it owns', async () => {
+        const environment = fakeEnvironment();
+
+        await stopXqEnvironment({ environment: environment as never, owned: false, variables: {} });
+        expect(environment.down).not.toHaveBeenCalled();
+
+        await stopXqEnvironment({ environment: environment as never, owned: true, variables: {} });
+        expect(environment.saveLogs).toHaveBeenCalled();
+        expect(environment.down).toHaveBeenCalled();
+    });
+});
+
+describe('xq global setup and teardown', () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it('starts the environment from the project globals and stops it in teardown', async () => {
+        const environment = fakeEnvironment();
+        fromDirectory.mockResolvedValue(environment);
+
+        await globalSetup({}, { rootDir: '/work', globals: { xqEnvironment: { spec: 'test-env' } } });
+        expect(fromDirectory).toHaveBeenCalledWith('/work/test-env', expect.objectContaining({ outputDir: '/work/.xq' }));
+
+        await globalTeardown();
+        expect(environment.down).toHaveBeenCalledTimes(1);
+
+        // A second teardown has nothing left to stop
+        await globalTeardown();
+        expect(environment.down).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves a reused environment running', async () => {
+        const environment = fakeEnvironment();
+        fromDirectory.mockResolvedValue(environment);
+
+        await globalSetup({}, { rootDir: '/work', globals: { xqEnvironment: { spec: 'test-env', reuse: true } } });
+        await globalTeardown();
+
+        expect(environment.down).not.toHaveBeenCalled();
+    });
+
+    it('rejects a project config without xqEnvironment', async () => {
+        await expect(globalSetup({}, { rootDir: '/work' })).rejects.toThrow(
+            'xq global-setup needs the xqEnvironment option of getComponentTestConfig'
+        );
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Loader for the xq-env.json manifest written by `xq-infra generate`.
+ * Lets test suites discover service URLs instead of hardcoding ports.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { LoadEnvManifestOptions, ManifestService, XqEnvManifestData } from './types';
+
+export const SUPPORTED_MANIFEST_VERSION = 1;
+
+/**
+ * Read-only view over an environment manifest.
+ */
+export class XqEnvManifest {
+    constructor(readonly data: XqEnvManifestData, readonly path?: string) {}
+
+    /** Names of every service except the gateway */
+    get serviceNames(): string[] {
+        return Object.keys(this.data.services);
+    }
+
+    /** Gateway base URL (e.g. http://localhost:8081) */
+    get gatewayUrl(): string {
+        if (!this.data.gateway) {
+            throw new Error('Environment has no gateway (generated with --no-gateway)');
+        }
+        return this.data.gateway.url;
+    }
+
+    /**
+     * Get a service entry.
+     * @throws If the service is not part of the environment
+     */
+    service(name: string): ManifestService {
+        const service = this.data.services[name];
+        if (!service) {
+            throw new Error(
+                `Service '${name}' not found in environment manifest. Available services: ${this.serviceNames.join(', ')}`
+            );
+        }
+        return service;
+    }
+
+    /**
+     * Host URL of a service (e.g. http://localhost:4000).
+     * @throws If the service has no published port
+     */
+    url(name: string): string {
+        const service = this.service(name);
+        if (!service.url) {
+            throw new Error(`Service '${name}' does not publish a host port`);
+        }
+        return service.url;
+    }
+}
+
+/**
+ * Resolve the manifest path from options, $XQ_ENV_MANIFEST or the workspace.
+ * Without an explicit workspace, manifests generated into the working directory by older xq-infra versions are still found.
+ */
+export function resolveEnvManifestPath(options: LoadEnvManifestOptions = {}): string {
+    if (options.path) return resolve(options.path);
+    if (process.env.XQ_ENV_MANIFEST) return resolve(process.env.XQ_ENV_MANIFEST);
+    const filename = options.envName ? `xq-env.${options.envName}.json` : 'xq-env.json';
+    const workspacePath = resolve(process.cwd(), options.workspace ?? '.xq', filename);
+    if (options.workspace || existsSync(workspacePath)) return workspacePath;
+    return resolve(process.cwd(), filename);
+}
+
+/**
+ * Load and check an environment manifest.
+ * @throws If the file is missing, not JSON, or has an unsupported version
+ */
+export function loadEnvManifest(options: LoadEnvManifestOptions = {}): XqEnvManifest {
+    const manifestPath = resolveEnvManifestPath(options);
+
+    let data: XqEnvManifestData;
+    try {
+        data = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        throw new Error(`Failed to load environment manifest ${manifestPath}: ${reason}`);
+    }
+
+    if (data.version !== SUPPORTED_MANIFEST_VERSION) {
+        throw new Error(
+            `Unsupported environment manifest version ${data.version} in ${manifestPath} (expected ${SUPPORTED_MANIFEST_VERSION})`
+        );
+    }
+
+    return new XqEnvManifest(data, manifestPath);
+}
@@ -0,0 +1,17 @@
+export {
+    XqEnvManifest,
+    loadEnvManifest,
+    resolveEnvManifestPath,
+    SUPPORTED_MANIFEST_VERSION,
+} from './env-manifest';
+export { startXqEnvironment, stopXqEnvironment, serviceUrlVariable, environmentVariables } from './xq-environment';
+export type { StartedXqEnvironment } from './xq-environment';
+export type {
+    XqEnvManifestData,
+    ManifestService,
+    ManifestPort,
+    ManifestRoute,
+    ManifestGateway,
+    LoadEnvManifestOptions,
+    XqEnvironmentOptions,
+} from './types';
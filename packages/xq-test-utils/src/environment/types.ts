@@ -0,0 +1,73 @@
+/**
+ * Environment manifest types.
+ *
+ * Mirrors the xq-env.json file written by `xq-infra generate`.
+ */
+
+export interface ManifestPort {
+    /** Published host port, or null when the port is not published */
+    host: number | null;
+    container: number;
+    protocol: string;
+}
+
+export interface ManifestRoute {
+    methods: string[];
+    paths: string[];
+}
+
+export interface ManifestService {
+    /** Hostname on the compose network (the service name) */
+    hostname: string;
+    image: string;
+    ports: ManifestPort[];
+    /** First published host port, or null */
+    hostPort: number | null;
+    containerPort: number;
+    /** URL reachable from the host, or null when no port is published */
+    url: string | null;
+    /** URL reachable from other containers on the compose network */
+    internalUrl: string;
+    /** Service-name route through the gateway, or null without gateway */
+    gatewayUrl: string | null;
+    routes: ManifestRoute[];
+}
+
+export interface ManifestGateway {
+    url: string;
+    hostPort: number;
+    containerPort: number;
+}
+
+export interface XqEnvManifestData {
+    version: number;
+    envName: string | null;
+    projectName: string | null;
+    composeFile: string | null;
+    gateway: ManifestGateway | null;
+    services: Record<string, ManifestService>;
+}
+
+export interface LoadEnvManifestOptions {
+    /** Path to xq-env.json. Default: $XQ_ENV_MANIFEST, else xq-env.json (or xq-env.<envName>.json) in the workspace */
+    path?: string;
+    /** Environment name passed to `generate --env-name` */
+    envName?: string;
+    /** Workspace passed to `generate --workspace`. Default: ./.xq, falling back to the working directory */
+    workspace?: string;
+}
+
+export interface XqEnvironmentOptions {
+    /** Spec directory with *.service.yml files, or an XQ spec file. Relative paths resolve against the Jest rootDir */
+    spec: string;
+    /** Profile from xq.config.yml */
+    profile?: string;
+    /** Keep the environment running between runs; only services whose config changed are recreated */
+    reuse?: boolean;
+    /** Isolated environment name, as with `generate --env-name` */
+    envName?: string;
+    /** Single value overrides, e.g. ['services.todo-read-service.tag=pr-123'] */
+    set?: string[];
+    /** Per-service timeout in milliseconds for jobs and readiness. Default: 120000 */
+    timeout?: number;
+}
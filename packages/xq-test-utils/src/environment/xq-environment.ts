@@ -0,0 +1,122 @@
+/**
+ * Start and stop an xq environment through @chauhaidang/xq-test-infra.
+ * Backs the Jest globalSetup/globalTeardown modules; service URLs are exported as env vars.
+ */
+
+import { resolve } from 'node:path';
+import type { XqEnvironment } from '@chauhaidang/xq-test-infra';
+import { XqEnvManifestData, XqEnvironmentOptions } from './types';
+
+export interface StartedXqEnvironment {
+    environment: XqEnvironment;
+    /** True when the environment was started here and has to be stopped here */
+    owned: boolean;
+    /** Variables written to process.env */
+    variables: Record<string, string>;
+}
+
+type XqTestInfra = typeof import('@chauhaidang/xq-test-infra');
+
+async function loadXqTestInfra(): Promise<XqTestInfra> {
+    try {
+        return await import('@chauhaidang/xq-test-infra');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'MODULE_NOT_FOUND') {
+            throw new Error('xqEnvironment requires @chauhaidang/xq-test-infra. Install it as a dev dependency.');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Name of the env var holding a service URL, e.g. todo-read-service -> XQ_SERVICE_TODO_READ_SERVICE_URL
+ */
+export function serviceUrlVariable(service: string): string {
+    return `XQ_SERVICE_${service.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_URL`;
+}
+
+/**
+ * Env vars describing an environment: the manifest path, the gateway URL and the URL of every
+ * service reachable from the host (published port, else gateway route).
+ */
+export function environmentVariables(manifestFile: string, manifest: XqEnvManifestData): Record<string, string> {
+    const variables: Record<string, string> = { XQ_ENV_MANIFEST: manifestFile };
+    if (manifest.gateway) {
+        variables.XQ_GATEWAY_URL = manifest.gateway.url;
+    }
+    for (const [name, service] of Object.entries(manifest.services)) {
+        const url = service.url || service.gatewayUrl;
+        if (url) {
+            variables[serviceUrlVariable(name)] = url;
+        }
+    }
+    return variables;
+}
+
+function exportVariables(environment: XqEnvironment, owned: boolean): StartedXqEnvironment {
+    const variables = environmentVariables(
+        environment.paths.manifestFile,
+        environment.manifest as XqEnvManifestData
+    );
+    Object.assign(process.env, variables);
+    return { environment, owned, variables };
+}
+
+/**
+ * Generate and start the environment of a spec and wait until it is ready.
+ * An environment that is already up in the workspace (e.g. started with `xq-infra up`) is used as is
+ * and not owned, so it is left running.
+ * With `reuse`, the environment is long-lived: running services whose config is unchanged are kept,
+ * only changed ones are recreated, and the environment is not owned, so it is never stopped here.
+ * If starting fails, the logs are saved to .xq/xq-logs/ and an owned environment is stopped before rethrowing.
+ * @param options - Spec, profile and start options
+ * @param rootDir - Directory that relative spec paths resolve against; generated files go to its .xq workspace
+ */
+export async function startXqEnvironment(
+    options: XqEnvironmentOptions,
+    rootDir: string = process.cwd()
+): Promise<StartedXqEnvironment> {
+    const { spec, profile, reuse = false, envName, set, timeout = 120000 } = options;
+    const { XqEnvironment } = await loadXqTestInfra();
+    const outputDir = resolve(rootDir, '.xq');
+
+    // Reuse goes through up({ reuse }) below, which also applies config changes to the running stack
+    if (!reuse) {
+        const existing = await XqEnvironment.open({ envName, outputDir });
+        if (existing && (await existing.isReady().catch(() => false))) {
+            return exportVariables(existing, false);
+        }
+    }
+
+    const environment = await XqEnvironment.fromDirectory(resolve(rootDir, spec), {
+        profile,
+        set,
+        envName,
+        outputDir,
+        reuse,
+    });
+
+    try {
+        await environment.up({ timeout, reuse });
+    } catch (error) {
+        await environment.saveLogs().catch(() => undefined);
+        if (!reuse) {
+            await environment.down().catch(() => undefined);
+        }
+        throw error;
+    }
+
+    return exportVariables(environment, !reuse);
+}
+
+/**
+ * Stop an environment started by startXqEnvironment. Environments that were reused are left running.
+ * Logs of every service are saved to .xq/xq-logs/ first.
+ */
+export async function stopXqEnvironment(started: StartedXqEnvironment): Promise<void> {
+    if (!started.owned) {
+        return;
+    }
+    await started.environment.saveLogs();
+    await started.environment.down();
+}
@@ -17,3 +17,18 @@ export type { ITestReporter, GenerateTestReportOptions } from './reporting';
 // Test config
 export { getComponentTestConfig } from './test-config';
 export type { ComponentTestConfigOptions } from './test-config';
+
+// Environment manifest
+export { XqEnvManifest, loadEnvManifest, resolveEnvManifestPath } from './environment';
+export type {
+    XqEnvManifestData,
+    ManifestService,
+    ManifestPort,
+    ManifestRoute,
+    ManifestGateway,
+    LoadEnvManifestOptions,
+} from './environment';
+
+// Environment lifecycle (through @chauhaidang/xq-test-infra)
+export { startXqEnvironment, stopXqEnvironment, serviceUrlVariable } from './environment';
+export type { XqEnvironmentOptions, StartedXqEnvironment } from './environment';
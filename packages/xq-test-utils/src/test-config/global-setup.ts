@@ -0,0 +1,17 @@
+/**
+ * Jest globalSetup that starts the environment configured with getComponentTestConfig({ xqEnvironment }).
+ * Workers inherit the exported XQ_* env vars; the started environment is kept for global-teardown.
+ */
+
+import { startXqEnvironment } from '../environment/xq-environment';
+import { XqEnvironmentOptions } from '../environment/types';
+import { XqJestProjectConfig, setStartedEnvironment } from './xq-environment-state';
+
+export default async function globalSetup(_globalConfig: unknown, projectConfig: XqJestProjectConfig): Promise<void> {
+    const options = projectConfig.globals?.xqEnvironment as XqEnvironmentOptions | undefined;
+    if (!options) {
+        throw new Error('xq global-setup needs the xqEnvironment option of getComponentTestConfig');
+    }
+
+    setStartedEnvironment(await startXqEnvironment(options, projectConfig.rootDir));
+}
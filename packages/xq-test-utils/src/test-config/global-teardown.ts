@@ -0,0 +1,16 @@
+/**
+ * Jest globalTeardown paired with global-setup. Stops the environment only when global-setup started it.
+ */
+
+import { stopXqEnvironment } from '../environment/xq-environment';
+import { getStartedEnvironment, setStartedEnvironment } from './xq-environment-state';
+
+export default async function globalTeardown(): Promise<void> {
+    const started = getStartedEnvironment();
+    if (!started) {
+        return;
+    }
+
+    setStartedEnvironment(undefined);
+    await stopXqEnvironment(started);
+}
@@ -4,12 +4,17 @@
  */
 
 import type { Config } from 'jest';
+import { XqEnvironmentOptions } from '../environment/types';
 
 export interface ComponentTestConfigOptions {
     rootDir?: string;
     testMatch: string | string[];
-    setupPath: string;
-    teardownPath: string;
+    /** Setup file run before each test file (setupFilesAfterEnv) */
+    setupPath?: string;
+    /** Custom globalTeardown; cannot be combined with xqEnvironment */
+    teardownPath?: string;
+    /** Start this environment through xq-test-infra before the tests and stop it afterwards */
+    xqEnvironment?: XqEnvironmentOptions;
     helpersPath?: string;
     tsconfigPath?: string;
     testTimeout?: number;
@@ -26,8 +31,13 @@ export function getComponentTestConfig(options: ComponentTestConfigOptions): Con
         tsconfigPath = '<rootDir>/tsconfig.json',
         testTimeout = 60000,
         displayName = 'Component Tests',
+        xqEnvironment,
     } = options;
 
+    if (xqEnvironment && teardownPath) {
+        throw new Error('teardownPath cannot be combined with xqEnvironment, which brings its own globalTeardown');
+    }
+
     const config: Config = {
         displayName,
         preset: 'ts-jest',
@@ -35,8 +45,6 @@ export function getComponentTestConfig(options: ComponentTestConfigOptions): Con
         rootDir,
         testMatch: Array.isArray(testMatch) ? testMatch : [testMatch],
         testTimeout,
-        setupFilesAfterEnv: [setupPath],
-        globalTeardown: teardownPath,
         maxWorkers: 1,
         verbose: true,
         bail: false,
@@ -52,6 +60,18 @@ export function getComponentTestConfig(options: ComponentTestConfigOptions): Con
         },
     };
 
+    if (setupPath) {
+        config.setupFilesAfterEnv = [setupPath];
+    }
+
+    if (xqEnvironment) {
+        config.globalSetup = require.resolve('./global-setup');
+        config.globalTeardown = require.resolve('./global-teardown');
+        config.globals = { xqEnvironment: { ...xqEnvironment } };
+    } else if (teardownPath) {
+        config.globalTeardown = teardownPath;
+    }
+
     if (helpersPath) {
         config.moduleNameMapper = {
             '^@helpers/(.*)$': `${helpersPath}/$1`,
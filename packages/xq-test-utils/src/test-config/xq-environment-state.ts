@@ -0,0 +1,23 @@
+/**
+ * State shared by global-setup and global-teardown, which Jest runs in the same process.
+ */
+
+import { StartedXqEnvironment } from '../environment/xq-environment';
+
+/** The parts of Jest's project config read by global-setup */
+export interface XqJestProjectConfig {
+    rootDir: string;
+    globals?: Record<string, unknown>;
+}
+
+const STATE_KEY = '__XQ_ENVIRONMENT__';
+
+type StateHolder = { [STATE_KEY]?: StartedXqEnvironment };
+
+export function getStartedEnvironment(): StartedXqEnvironment | undefined {
+    return (globalThis as StateHolder)[STATE_KEY];
+}
+
+export function setStartedEnvironment(started: StartedXqEnvironment | undefined): void {
+    (globalThis as StateHolder)[STATE_KEY] = started;
+}